@@ -0,0 +1,220 @@
+/**
+ * analytics.js
+ * Room utilization dashboard: occupied vs available slots per room and
+ * building (read from scheduleGrid, closed time excluded), seat fill (event seats vs capacity),
+ * an hour-by-day heatmap of how many rooms are in use, and large rooms that
+ * sit mostly empty. Virtual "UN x" rooms are left out.
+ */
+
+const AnalyticsUI = {
+    card: document.getElementById('analytics-card'),
+    summary: document.getElementById('analytics-summary'),
+    heatmap: document.getElementById('analytics-heatmap'),
+    underused: document.getElementById('analytics-underused'),
+    buildingTable: document.getElementById('analytics-buildings'),
+    roomTable: document.getElementById('analytics-rooms'),
+    btnExport: document.getElementById('btn-export-analytics')
+};
+
+// A room is "large" at or above this capacity percentile, and under-used below this utilization
+const LARGE_ROOM_PERCENTILE = 0.75;
+const UNDERUSED_UTILIZATION = 0.3;
+
+/**
+ * Utilization figures for a schedule:
+ *   rooms:     [{ name, building, capacity, events, occupied, available, utilization, seatFill }]
+ *   buildings: [{ building, rooms, capacity, occupied, available, utilization, seatFill }]
+ *   heatmap:   { days, hours, values[day][hour] } share of rooms in use
+ *   underused: large rooms below UNDERUSED_UTILIZATION
+ */
+function computeUtilization(schedule) {
+    const rooms = schedule.locations.filter(l => !l.isVirtual);
+    const slotsPerHour = 60 / schedule.interval;
+    const startHour = Math.floor(schedule.schStartMin / 60);
+    const hourCount = Math.ceil(schedule.dayIntervals / slotsPerHour);
+    const hours = Array.from({ length: hourCount }, (_, i) => startHour + i);
+    const inUse = schedule.shortDays.map(() => new Array(hourCount).fill(0));
+    const open = schedule.shortDays.map(() => new Array(hourCount).fill(0));
+
+    const roomStats = rooms.map(loc => {
+        const grid = schedule.scheduleGrid[loc.name];
+        const events = new Set();
+        let occupied = 0;
+        let closed = 0;
+        let seatSlots = 0;
+
+        grid.forEach((cell, k) => {
+            if (cell === BLOCKED) {
+                closed++;
+                return;
+            }
+            const day = Math.floor(k / schedule.dayIntervals);
+            const hour = Math.floor((k % schedule.dayIntervals) / slotsPerHour);
+            open[day][hour]++;
+
+            const occupants = schedule.cellEvents(cell);
+            if (occupants.length === 0) return;
+            occupied++;
+            occupants.forEach(e => events.add(e));
+            // Date-disjoint occupants take turns, so count the fullest one
+            seatSlots += Math.max(...occupants.map(e => e.getTotalSeats()));
+            inUse[day][hour]++;
+        });
+
+        return {
+            name: loc.name,
+            building: loc.building,
+            capacity: loc.capacity,
+            events: events.size,
+            occupied,
+            available: grid.length - closed,
+            utilization: grid.length > closed ? occupied / (grid.length - closed) : 0,
+            seatFill: occupied > 0 && loc.capacity > 0 ? seatSlots / (occupied * loc.capacity) : 0,
+            seatSlots
+        };
+    });
+
+    const byBuilding = {};
+    roomStats.forEach(r => {
+        const b = byBuilding[r.building] = byBuilding[r.building] || { building: r.building, rooms: 0, capacity: 0, occupied: 0, available: 0, capacitySlots: 0, seatSlots: 0 };
+        b.rooms++;
+        b.capacity += r.capacity;
+        b.occupied += r.occupied;
+        b.available += r.available;
+        b.capacitySlots += r.occupied * r.capacity;
+        b.seatSlots += r.seatSlots;
+    });
+    const buildings = Object.values(byBuilding).map(b => ({
+        building: b.building,
+        rooms: b.rooms,
+        capacity: b.capacity,
+        occupied: b.occupied,
+        available: b.available,
+        utilization: b.available > 0 ? b.occupied / b.available : 0,
+        seatFill: b.capacitySlots > 0 ? b.seatSlots / b.capacitySlots : 0
+    }));
+
+    // Heatmap: share of open room-slots in use within each hour
+    const values = inUse.map((day, d) => day.map((count, h) => open[d][h] > 0 ? count / open[d][h] : 0));
+
+    const capacities = rooms.map(l => l.capacity).sort((a, b) => a - b);
+    const largeCapacity = capacities.length > 0 ? capacities[Math.floor((capacities.length - 1) * LARGE_ROOM_PERCENTILE)] : 0;
+    const underused = roomStats
+        .filter(r => r.capacity >= largeCapacity && r.utilization < UNDERUSED_UTILIZATION)
+        .sort((a, b) => a.utilization - b.utilization);
+
+    const occupied = roomStats.reduce((sum, r) => sum + r.occupied, 0);
+    const available = roomStats.reduce((sum, r) => sum + r.available, 0);
+    return {
+        rooms: roomStats,
+        buildings,
+        heatmap: { days: schedule.shortDays, hours, values },
+        underused,
+        largeCapacity,
+        utilization: available > 0 ? occupied / available : 0
+    };
+}
+
+/**
+ * Dashboard
+ */
+function setupAnalytics() {
+    AnalyticsUI.btnExport.addEventListener('click', exportUtilizationCSV);
+}
+
+function formatPercent(value) {
+    return `${(value * 100).toFixed(1)}%`;
+}
+
+function renderAnalytics(schedule) {
+    const stats = computeUtilization(schedule);
+    AnalyticsUI.card.hidden = false;
+    AnalyticsUI.summary.textContent = `${formatPercent(stats.utilization)} of room time in use`;
+
+    Plotly.newPlot(AnalyticsUI.heatmap, [{
+        type: 'heatmap',
+        x: stats.heatmap.hours.map(h => `${h}:00`),
+        y: stats.heatmap.days,
+        z: stats.heatmap.values.map(day => day.map(v => Math.round(v * 1000) / 10)),
+        colorscale: 'Viridis',
+        hovertemplate: '%{y} %{x}: %{z}% of open rooms in use<extra></extra>',
+        colorbar: { ticksuffix: '%' }
+    }], {
+        title: 'Rooms In Use by Hour',
+        paper_bgcolor: '#1e1e1e',
+        plot_bgcolor: '#1e1e1e',
+        font: { color: '#e0e0e0' },
+        yaxis: { autorange: 'reversed' },
+        margin: { l: 50, r: 20, t: 40, b: 40 },
+        height: 120 + stats.heatmap.days.length * 30
+    }, { responsive: true });
+
+    AnalyticsUI.underused.innerHTML = stats.underused.length === 0
+        ? `No rooms of ${stats.largeCapacity}+ seats are below ${formatPercent(UNDERUSED_UTILIZATION)} utilization.`
+        : `Under-used large rooms (${stats.largeCapacity}+ seats, below ${formatPercent(UNDERUSED_UTILIZATION)}): ` +
+          stats.underused.map(r => `${escapeHtml(r.name)} <span class="muted">(${r.capacity} seats, ${formatPercent(r.utilization)})</span>`).join(", ");
+
+    AnalyticsUI.buildingTable.innerHTML = `
+        <thead>
+            <tr><th>Building</th><th>Rooms</th><th>Seats</th><th>Utilization</th><th>Seat Fill</th></tr>
+        </thead>
+        <tbody>
+            ${stats.buildings.sort((a, b) => b.utilization - a.utilization).map(b => `
+                <tr>
+                    <td>${escapeHtml(b.building)}</td>
+                    <td>${b.rooms}</td>
+                    <td>${b.capacity}</td>
+                    <td>${formatPercent(b.utilization)}</td>
+                    <td>${formatPercent(b.seatFill)}</td>
+                </tr>`).join('')}
+        </tbody>
+    `;
+
+    AnalyticsUI.roomTable.innerHTML = `
+        <thead>
+            <tr><th>Room</th><th>Capacity</th><th>Events</th><th>Utilization</th><th>Seat Fill</th></tr>
+        </thead>
+        <tbody>
+            ${stats.rooms.sort((a, b) => b.utilization - a.utilization).map(r => `
+                <tr>
+                    <td>${escapeHtml(r.name)}</td>
+                    <td>${r.capacity}</td>
+                    <td>${r.events}</td>
+                    <td>${formatPercent(r.utilization)}</td>
+                    <td>${formatPercent(r.seatFill)}</td>
+                </tr>`).join('')}
+        </tbody>
+    `;
+}
+
+function exportUtilizationCSV() {
+    if (!AppState.schedule) return;
+    const stats = computeUtilization(AppState.schedule);
+    const underused = new Set(stats.underused.map(r => r.name));
+    const ratio = (value) => value.toFixed(3);
+
+    const data = stats.buildings.map(b => ({
+        Type: 'Building',
+        Name: b.building,
+        Building: b.building,
+        Capacity: b.capacity,
+        Events: "",
+        OccupiedSlots: b.occupied,
+        AvailableSlots: b.available,
+        Utilization: ratio(b.utilization),
+        SeatFill: ratio(b.seatFill),
+        Underused: ""
+    })).concat(stats.rooms.map(r => ({
+        Type: 'Room',
+        Name: r.name,
+        Building: r.building,
+        Capacity: r.capacity,
+        Events: r.events,
+        OccupiedSlots: r.occupied,
+        AvailableSlots: r.available,
+        Utilization: ratio(r.utilization),
+        SeatFill: ratio(r.seatFill),
+        Underused: underused.has(r.name) ? "yes" : ""
+    })));
+    downloadString(Papa.unparse(data), "room_utilization.csv");
+}
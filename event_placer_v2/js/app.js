@@ -8,8 +8,19 @@ const AppState = {
     eventsData: null,
     locationsData: null,
     prefsData: null,
+    baselineData: null, // Rows of a previous classroom_schedule.csv export
+    examsData: null, // Meeting pattern -> exam block mapping (see exams.js)
+    gapsData: null, // Turnover gaps and travel-time matrix (JSON, or CSV matrix rows)
+    exams: null, // { schedule, unmapped } from the last exam run
     schedule: null,
-    lastSeed: null
+    lastSeed: null,
+    lastOptimization: null, // optimize() stats of the shown run (null when it was skipped)
+    batch: null, // { input, results, total }
+    worker: null, // Active worker.js run, terminated to cancel
+    files: {}, // { events|locations|prefs|exams|gaps: { name, rows, hash } } for run configs
+    pins: {}, // { EventCode: LocationName } fixed by the user
+    validation: { events: [], locations: [] }, // Issues from validation.js
+    excludedRows: { events: new Set(), locations: new Set() } // Row indices left out of runs
 };
 
 // DOM Elements
@@ -17,22 +28,79 @@ const UI = {
     dropZoneEvents: document.getElementById('drop-zone-events'),
     dropZoneLocations: document.getElementById('drop-zone-locations'),
     dropZonePrefs: document.getElementById('drop-zone-prefs'),
+    dropZoneBaseline: document.getElementById('drop-zone-baseline'),
+    dropZoneExams: document.getElementById('drop-zone-exams'),
+    dropZoneGaps: document.getElementById('drop-zone-gaps'),
     fileEvents: document.getElementById('file-events'),
     fileLocations: document.getElementById('file-locations'),
     filePrefs: document.getElementById('file-prefs'),
+    fileBaseline: document.getElementById('file-baseline'),
+    fileExams: document.getElementById('file-exams'),
+    fileGaps: document.getElementById('file-gaps'),
     statusEvents: document.getElementById('events-status'),
     statusLocations: document.getElementById('locations-status'),
     statusPrefs: document.getElementById('prefs-status'),
+    statusBaseline: document.getElementById('baseline-status'),
+    statusExams: document.getElementById('exams-status'),
+    statusGaps: document.getElementById('gaps-status'),
+    btnClearBaseline: document.getElementById('btn-clear-baseline'),
     btnGenerate: document.getElementById('btn-generate'),
     btnExport: document.getElementById('btn-export-csv'),
     metricsDisplay: document.getElementById('metrics-display'),
     chartDiv: document.getElementById('schedule-graph'),
+    filters: {
+        building: document.getElementById('filter-building'),
+        dept: document.getElementById('filter-dept'),
+        metric: document.getElementById('filter-metric'),
+        minCapacity: document.getElementById('filter-cap-min'),
+        maxCapacity: document.getElementById('filter-cap-max'),
+        search: document.getElementById('filter-search'),
+        colorBy: document.getElementById('filter-color'),
+    },
     inputs: {
         startTime: document.getElementById('time-start'),
         endTime: document.getElementById('time-end'),
         interval: document.getElementById('time-interval'),
         gap: document.getElementById('time-gap'),
-    }
+        optIterations: document.getElementById('opt-iterations'),
+        optTime: document.getElementById('opt-time'),
+        batchCount: document.getElementById('batch-count'),
+        seed: document.getElementById('seed'),
+        instructorMode: document.getElementById('instructor-mode'),
+        travelGap: document.getElementById('travel-gap'),
+        linkSameBuilding: document.getElementById('link-same-bldg'),
+        bestFit: document.getElementById('best-fit'),
+        fitSlack: document.getElementById('fit-slack'),
+    },
+    btnBatch: document.getElementById('btn-batch'),
+    batchCard: document.getElementById('batch-card'),
+    batchStatus: document.getElementById('batch-status'),
+    batchTable: document.getElementById('batch-table'),
+    progressArea: document.getElementById('run-progress'),
+    progressLabel: document.getElementById('run-progress-label'),
+    progressFill: document.getElementById('run-progress-fill'),
+    btnCancel: document.getElementById('btn-cancel'),
+    btnSaveConfig: document.getElementById('btn-save-config'),
+    fileConfig: document.getElementById('file-config'),
+    seedDisplay: document.getElementById('seed-display'),
+    conflictsCard: document.getElementById('conflicts-card'),
+    conflictsStatus: document.getElementById('conflicts-status'),
+    conflictsTable: document.getElementById('conflicts-table'),
+    transitionsCard: document.getElementById('transitions-card'),
+    transitionsStatus: document.getElementById('transitions-status'),
+    transitionsTable: document.getElementById('transitions-table'),
+    daysCard: document.getElementById('days-card'),
+    daysStatus: document.getElementById('days-status'),
+    daysTable: document.getElementById('days-table'),
+    diffCard: document.getElementById('diff-card'),
+    diffSummary: document.getElementById('diff-summary'),
+    diffTable: document.getElementById('diff-table'),
+    btnExportDiff: document.getElementById('btn-export-diff'),
+    validationCard: document.getElementById('validation-card'),
+    validationSummary: document.getElementById('validation-summary'),
+    validationTable: document.getElementById('validation-table'),
+    btnExcludeAll: document.getElementById('btn-exclude-all'),
+    btnIncludeAll: document.getElementById('btn-include-all')
 };
 
 /**
@@ -41,6 +109,14 @@ const UI = {
 function init() {
     setupDragAndDrop();
     setupButtons();
+    setupChartFilters();
+    setupInspector();
+    setupExams();
+    setupAnalytics();
+    setupICal();
+    setupPrint();
+    setupExcel();
+    setupCompare();
 }
 
 /**
@@ -56,6 +132,40 @@ function setupButtons() {
         generateSchedule();
     });
 
+    // Batch Button
+    UI.btnBatch.addEventListener('click', () => {
+        if (!AppState.eventsData || !AppState.locationsData) {
+            alert("Please upload both Events and Locations CSV files first.");
+            return;
+        }
+        runBatch();
+    });
+
+    // Cancel Button
+    UI.btnCancel.addEventListener('click', cancelRun);
+
+    // Run Configuration
+    UI.btnSaveConfig.addEventListener('click', saveRunConfig);
+    UI.fileConfig.addEventListener('change', (e) => {
+        loadRunConfig(e.target.files[0]);
+        e.target.value = '';
+    });
+
+    // Baseline
+    UI.btnClearBaseline.addEventListener('click', () => {
+        AppState.baselineData = null;
+        delete AppState.files.baseline;
+        UI.fileBaseline.value = '';
+        UI.dropZoneBaseline.classList.remove('has-file');
+        UI.statusBaseline.innerHTML = '⚪ Optional';
+        UI.statusBaseline.style.color = '';
+    });
+    UI.btnExportDiff.addEventListener('click', exportBaselineDiff);
+
+    // Validation Report
+    UI.btnExcludeAll.addEventListener('click', () => setAllExcluded(true));
+    UI.btnIncludeAll.addEventListener('click', () => setAllExcluded(false));
+
     // Export Button
     UI.btnExport.addEventListener('click', exportCSV);
 
@@ -63,13 +173,18 @@ function setupButtons() {
     document.getElementById('btn-dl-events').onclick = () => downloadTemplate('events');
     document.getElementById('btn-dl-locations').onclick = () => downloadTemplate('locations');
     document.getElementById('btn-dl-prefs').onclick = () => downloadTemplate('prefs');
+    document.getElementById('btn-dl-exams').onclick = () => downloadTemplate('exams');
+    document.getElementById('btn-dl-gaps').onclick = () => downloadTemplate('gaps');
 }
 
 function setupDragAndDrop() {
     const pairs = [
         { zone: UI.dropZoneEvents, input: UI.fileEvents, type: 'events' },
         { zone: UI.dropZoneLocations, input: UI.fileLocations, type: 'locations' },
-        { zone: UI.dropZonePrefs, input: UI.filePrefs, type: 'prefs' }
+        { zone: UI.dropZonePrefs, input: UI.filePrefs, type: 'prefs' },
+        { zone: UI.dropZoneBaseline, input: UI.fileBaseline, type: 'baseline' },
+        { zone: UI.dropZoneExams, input: UI.fileExams, type: 'exams' },
+        { zone: UI.dropZoneGaps, input: UI.fileGaps, type: 'gaps' }
     ];
 
     pairs.forEach(p => {
@@ -108,11 +223,31 @@ function setupDragAndDrop() {
 function handleFile(file, type, zoneElement) {
     if (!file) return;
 
-    if (type === 'prefs') {
+    // Excel workbooks: pick a sheet, then treat its rows like a parsed CSV
+    if (/\.xlsx$/i.test(file.name)) {
+        // Preferences and exam blocks are JSON-only
+        if (!['events', 'locations', 'baseline', 'gaps'].includes(type)) {
+            alert("This file must be JSON; Excel workbooks are accepted for events, locations, baseline and gaps.");
+            updateStatus(type, false);
+            return;
+        }
+        readWorkbookRows(file)
+            .then(rows => { if (rows) handleTableRows(rows, type, file, zoneElement); })
+            .catch(err => {
+                console.error(err);
+                alert("Could not read the Excel workbook");
+                updateStatus(type, false);
+            });
+        return;
+    }
+
+    // Gap rules come as JSON or as a travel-matrix CSV
+    if (type === 'prefs' || type === 'exams' || (type === 'gaps' && /\.json$/i.test(file.name))) {
         const reader = new FileReader();
         reader.onload = (e) => {
             try {
-                AppState.prefsData = JSON.parse(e.target.result);
+                AppState[`${type}Data`] = JSON.parse(e.target.result);
+                AppState.files[type] = fileFingerprint(file.name, AppState[`${type}Data`]);
                 updateStatus(type, true, file.name);
                 zoneElement.classList.add('has-file');
             } catch (err) {
@@ -136,38 +271,124 @@ function handleFile(file, type, zoneElement) {
                 return;
             }
 
-            if (type === 'events') {
-                // Validate Header roughly
-                const first = results.data[0];
-                // Check unique key 'bldg_cde' or 'event_cde'
-                if (!first.hasOwnProperty('crs_cde') && !first.hasOwnProperty('event_cde')) {
-                    alert("Invalid Events CSV. Missing 'event_cde' or 'crs_cde'");
-                    updateStatus(type, false);
-                    return;
-                }
-                AppState.eventsData = results.data;
-            } else if (type === 'locations') {
-                const first = results.data[0];
-                if (!first.hasOwnProperty('Location') || !first.hasOwnProperty('Capacity')) {
-                    alert("Invalid Locations CSV. Missing 'Location' or 'Capacity'");
-                    updateStatus(type, false);
-                    return;
-                }
-                AppState.locationsData = results.data;
-            }
+            handleTableRows(results.data, type, file, zoneElement);
+        }
+    });
+}
+
+// Header-keyed rows from a CSV or an Excel sheet
+function handleTableRows(rows, type, file, zoneElement) {
+    if (rows.length === 0) {
+        alert("The file has no data rows");
+        updateStatus(type, false);
+        return;
+    }
 
-            updateStatus(type, true, file.name);
-            zoneElement.classList.add('has-file');
+    if (type === 'events') {
+        // Validate Header roughly
+        const first = rows[0];
+        // Check unique key 'bldg_cde' or 'event_cde'
+        if (!first.hasOwnProperty('crs_cde') && !first.hasOwnProperty('event_cde')) {
+            alert("Invalid Events file. Missing 'event_cde' or 'crs_cde'");
+            updateStatus(type, false);
+            return;
+        }
+        AppState.eventsData = rows;
+        AppState.validation.events = validateEventRows(rows);
+        AppState.excludedRows.events.clear();
+        renderValidation();
+    } else if (type === 'locations') {
+        const first = rows[0];
+        if (!first.hasOwnProperty('Location') || !first.hasOwnProperty('Capacity')) {
+            alert("Invalid Locations file. Missing 'Location' or 'Capacity'");
+            updateStatus(type, false);
+            return;
         }
+        AppState.locationsData = rows;
+        AppState.validation.locations = validateLocationRows(rows);
+        AppState.excludedRows.locations.clear();
+        renderValidation();
+    } else if (type === 'baseline') {
+        const first = rows[0];
+        if (!first.hasOwnProperty('Code') || !first.hasOwnProperty('Location')) {
+            alert("Invalid baseline. Load a classroom_schedule.csv exported by this tool ('Code' and 'Location' columns).");
+            updateStatus(type, false);
+            return;
+        }
+        AppState.baselineData = rows;
+    } else if (type === 'gaps') {
+        AppState.gapsData = rows;
+    }
+
+    AppState.files[type] = fileFingerprint(file.name, rows);
+    updateStatus(type, true, file.name);
+    zoneElement.classList.add('has-file');
+}
+
+/**
+ * Validation Report
+ * One row per problem data row, with a checkbox to exclude it from runs.
+ */
+function renderValidation() {
+    const rows = [];
+    ['events', 'locations'].forEach(type => {
+        const byRow = {};
+        AppState.validation[type].forEach(issue => {
+            (byRow[issue.row] = byRow[issue.row] || { type, row: issue.row, label: issue.label, messages: [] })
+                .messages.push(issue.message);
+        });
+        Object.values(byRow).forEach(r => rows.push(r));
+    });
+
+    UI.validationCard.hidden = rows.length === 0;
+    const excluded = rows.filter(r => AppState.excludedRows[r.type].has(r.row)).length;
+    UI.validationSummary.textContent = `${rows.length} row(s) with problems, ${excluded} excluded`;
+
+    UI.validationTable.innerHTML = `
+        <thead>
+            <tr><th>Exclude</th><th>File</th><th>Line</th><th>Item</th><th>Problems</th></tr>
+        </thead>
+        <tbody>
+            ${rows.map(r => `
+                <tr>
+                    <td><input type="checkbox" data-type="${r.type}" data-row="${r.row}"
+                        ${AppState.excludedRows[r.type].has(r.row) ? 'checked' : ''}></td>
+                    <td>${r.type === 'events' ? 'Events' : 'Locations'}</td>
+                    <td>${r.row + 2}</td>
+                    <td>${escapeHtml(r.label)}</td>
+                    <td class="muted">${escapeHtml(r.messages.join('; '))}</td>
+                </tr>`).join('')}
+        </tbody>
+    `;
+
+    UI.validationTable.querySelectorAll('input[data-row]').forEach(cb => {
+        cb.onchange = () => {
+            const set = AppState.excludedRows[cb.dataset.type];
+            const row = parseInt(cb.dataset.row);
+            if (cb.checked) set.add(row);
+            else set.delete(row);
+            renderValidation();
+        };
+    });
+}
+
+function setAllExcluded(exclude) {
+    ['events', 'locations'].forEach(type => {
+        AppState.excludedRows[type].clear();
+        if (exclude) AppState.validation[type].forEach(issue => AppState.excludedRows[type].add(issue.row));
     });
+    renderValidation();
 }
 
 function updateStatus(type, success, filename) {
     const el = type === 'events' ? UI.statusEvents :
-        type === 'locations' ? UI.statusLocations : UI.statusPrefs;
+        type === 'locations' ? UI.statusLocations :
+        type === 'baseline' ? UI.statusBaseline :
+        type === 'exams' ? UI.statusExams :
+        type === 'gaps' ? UI.statusGaps : UI.statusPrefs;
 
     if (success) {
-        el.innerHTML = `🟢 Ready: ${filename}`;
+        el.innerHTML = `🟢 Ready: ${escapeHtml(filename)}`;
         el.style.color = 'var(--success)';
     } else {
         el.innerHTML = `🔴 Error`;
@@ -178,44 +399,285 @@ function updateStatus(type, success, filename) {
 /**
  * Schedule Generation
  */
-function generateSchedule() {
-    // 1. Gather Config
-    const days = Array.from(document.querySelectorAll('.day-picker input:checked')).map(cb => cb.value);
-    const startT = UI.inputs.startTime.value;
-    const endT = UI.inputs.endTime.value;
-    const interval = UI.inputs.interval.value;
-    const gap = UI.inputs.gap.value;
 
+// Gather the uploaded data and configuration into a runScheduler() input
+function getRunInput() {
+    const days = Array.from(document.querySelectorAll('.day-picker input:checked')).map(cb => cb.value);
     if (days.length === 0) {
         alert("Please select at least one day.");
-        return;
+        return null;
     }
 
-    // 2. Instantiate Models
-    const events = AppState.eventsData.map(d => new Event(d));
-    const locations = AppState.locationsData.map(d => new Location(d));
+    // Rows excluded in the validation report are left out of the run
+    const keep = (type) => (_, i) => !AppState.excludedRows[type].has(i);
 
-    // 3. Run Algorithm
-    const schedule = new Schedule(locations, startT, endT, days, interval, gap);
-    if (AppState.prefsData) schedule.setLocationPreferences(AppState.prefsData);
+    return {
+        eventsData: AppState.eventsData.filter(keep('events')),
+        locationsData: AppState.locationsData.filter(keep('locations')),
+        prefsData: AppState.prefsData,
+        baselineData: AppState.baselineData,
+        gapsData: AppState.gapsData,
+        config: {
+            days,
+            startTime: UI.inputs.startTime.value,
+            endTime: UI.inputs.endTime.value,
+            interval: UI.inputs.interval.value,
+            gap: UI.inputs.gap.value,
+            iterations: parseInt(UI.inputs.optIterations.value) || 0,
+            timeLimitSec: parseFloat(UI.inputs.optTime.value) || 0,
+            instructorMode: UI.inputs.instructorMode.value,
+            travelGap: parseInt(UI.inputs.travelGap.value) || 0,
+            linkSameBuilding: UI.inputs.linkSameBuilding.checked,
+            bestFit: UI.inputs.bestFit.checked,
+            fitSlack: parseInt(UI.inputs.fitSlack.value) || 0,
+            pins: { ...AppState.pins },
+            excludedRows: {
+                events: [...AppState.excludedRows.events],
+                locations: [...AppState.excludedRows.locations]
+            }
+        }
+    };
+}
+
+function generateSchedule() {
+    const input = getRunInput();
+    if (!input) return;
 
-    // Seed based on time (like Python)
-    const seed = Math.floor(Date.now() / 1000);
+    // User-supplied seed reproduces a run; otherwise seed based on time (like Python)
+    const typed = parseInt(UI.inputs.seed.value);
+    const seed = Number.isFinite(typed) && typed > 0 ? typed : Math.floor(Date.now() / 1000);
     AppState.lastSeed = seed;
 
     console.log("Generating with seed:", seed);
-    const result = schedule.createSchedule(events, seed);
+    startRun({ type: 'generate', input, seed }, {
+        onResult: (result) => {
+            AppState.lastOptimization = result.optimization;
+            showSchedule(buildScheduleFromPlacements(input, result.placements));
+        }
+    });
+}
 
-    // 4. Update UI
+function showSchedule(schedule) {
     AppState.schedule = schedule;
-    updateMetrics(schedule.metrics);
+    updateMetrics(schedule);
+    const opt = AppState.lastOptimization;
+    UI.seedDisplay.textContent = `Seed ${AppState.lastSeed}` + (opt
+        ? ` · optimizer: ${opt.moves} moves, ${opt.swaps} swaps, score ${opt.startScore.toFixed(1)} → ${opt.endScore.toFixed(1)}`
+        : '');
     UI.btnExport.disabled = false;
-
-    // 5. Render Chart
+    ICalUI.btnExport.disabled = false;
+    ExcelUI.btnExport.disabled = false;
+    renderChartFilters(schedule);
     renderChart(schedule);
+    renderQueue(schedule);
+    renderAnalytics(schedule);
+    renderPrintOptions(schedule);
+    renderInstructorConflicts(schedule);
+    renderTightTransitions(schedule);
+    renderInactiveDays(schedule);
+    renderBaselineDiff(schedule);
+    renderComparison(schedule);
+    renderInspector();
+    renderEventsTable();
+}
+
+// Recreate a finished run on the main thread from its placements
+function buildScheduleFromPlacements(input, placements) {
+    const { eventsData, locationsData, prefsData, config } = input;
+    const events = eventsData.map((d, i) => new Event(d, i));
+    const locations = locationsData.map(d => new Location(d));
+    const schedule = new Schedule(locations, config.startTime, config.endTime, config.days, config.interval, config.gap);
+    if (prefsData) schedule.setLocationPreferences(prefsData);
+    schedule.setInstructorRules(config.instructorMode, config.travelGap);
+    schedule.setGapRules(input.gapsData);
+    schedule.setLinkRules(config.linkSameBuilding);
+    schedule.setFitRules(config.bestFit, config.fitSlack);
+    schedule.setPins(config.pins);
+    schedule.setBaseline(input.baselineData);
+    schedule.applyPlacements(events, placements);
+    return schedule;
+}
+
+/**
+ * Worker Runs
+ * Every generation goes through worker.js so the page stays responsive.
+ * Only one run is active at a time; starting another cancels it.
+ */
+const PHASE_LABELS = {
+    baseline: 'Baseline rooms',
+    historical: 'Historical rooms',
+    building: 'Same building',
+    preference: 'Preference buildings',
+    virtual: 'Virtual rooms',
+    optimize: 'Optimizing',
+    done: 'Finishing'
+};
+
+function startRun(message, { onResult, onDone }) {
+    cancelRun();
+    const seeds = message.type === 'generate' ? [message.seed] : message.seeds;
+    setRunProgress(true, 'Starting...', 0);
+
+    let worker = null;
+    try {
+        worker = new Worker('js/worker.js');
+    } catch (err) {
+        // Workers are blocked on file:// in some browsers; fall back to the main thread
+        console.warn("Web Worker unavailable, running on main thread:", err);
+    }
+
+    const finish = () => {
+        AppState.worker = null;
+        setRunProgress(false);
+        if (onDone) onDone();
+    };
+
+    if (worker) {
+        AppState.worker = worker;
+        worker.onmessage = (e) => {
+            const msg = e.data;
+            if (msg.type === 'progress') {
+                const label = PHASE_LABELS[msg.phase] || msg.phase;
+                const prefix = msg.runs > 1 ? `Seed ${msg.run + 1}/${msg.runs}: ` : '';
+                const fraction = (msg.run + (msg.total > 0 ? msg.done / msg.total : 1)) / msg.runs;
+                setRunProgress(true, prefix + label, fraction);
+            } else if (msg.type === 'result') {
+                onResult(msg);
+            } else if (msg.type === 'done') {
+                worker.terminate();
+                finish();
+            }
+        };
+        worker.onerror = (e) => {
+            console.error(e);
+            worker.terminate();
+            finish();
+            alert("Schedule generation failed: " + e.message);
+        };
+        worker.postMessage(message);
+        return;
+    }
+
+    // Main-thread fallback: one seed per tick so the page can repaint
+    const token = {};
+    AppState.worker = { terminate: () => { token.cancelled = true; } };
+    const next = (i) => {
+        if (token.cancelled) return;
+        if (i >= seeds.length) {
+            finish();
+            return;
+        }
+        setRunProgress(true, seeds.length > 1 ? `Seed ${i + 1}/${seeds.length}` : 'Generating...', i / seeds.length);
+        setTimeout(() => {
+            if (token.cancelled) return;
+            const { schedule, events } = runScheduler(message.input, seeds[i]);
+            onResult({ index: i, ...summarizeRun(schedule, events, seeds[i]) });
+            next(i + 1);
+        }, 0);
+    };
+    next(0);
+}
+
+function cancelRun() {
+    if (!AppState.worker) return;
+    AppState.worker.terminate();
+    AppState.worker = null;
+    setRunProgress(false);
 }
 
-function updateMetrics(m) {
+function setRunProgress(active, label = '', fraction = 0) {
+    UI.progressArea.hidden = !active;
+    UI.btnGenerate.disabled = active;
+    UI.btnBatch.disabled = active;
+    UI.progressLabel.textContent = label;
+    UI.progressFill.style.width = `${Math.round(Math.min(1, fraction) * 100)}%`;
+}
+
+/**
+ * Batch Generation
+ * Runs N seeds in the worker and ranks the results.
+ */
+function runBatch() {
+    const input = getRunInput();
+    if (!input) return;
+
+    const count = Math.max(1, parseInt(UI.inputs.batchCount.value) || 1);
+    const baseSeed = Math.floor(Date.now() / 1000);
+    const seeds = Array.from({ length: count }, (_, i) => baseSeed + i);
+
+    AppState.batch = { input, results: [], total: count };
+    UI.batchCard.hidden = false;
+    renderBatchResults();
+
+    startRun({ type: 'batch', input, seeds }, {
+        onResult: (result) => {
+            AppState.batch.results.push(result);
+            renderBatchResults();
+        },
+        onDone: renderBatchResults
+    });
+}
+
+// Rank: fewest unscheduled first, then Desired, SameBldg and PrefBldg counts
+function compareRuns(a, b) {
+    if (a.unscheduled !== b.unscheduled) return a.unscheduled - b.unscheduled;
+    for (let i = 0; i < 3; i++) {
+        if (a.metrics[i] !== b.metrics[i]) return b.metrics[i] - a.metrics[i];
+    }
+    return a.avgWastedSeats - b.avgWastedSeats;
+}
+
+function renderBatchResults() {
+    const batch = AppState.batch;
+    const ranked = [...batch.results].sort(compareRuns);
+
+    UI.batchStatus.textContent = batch.results.length < batch.total
+        ? `${batch.results.length}/${batch.total} seeds`
+        : `${batch.total} seeds complete`;
+
+    const pct = (m, i) => {
+        const total = m.reduce((a, b) => a + b, 0);
+        return total > 0 ? ((m[i] / total) * 100).toFixed(1) + '%' : '0%';
+    };
+
+    UI.batchTable.innerHTML = `
+        <thead>
+            <tr><th>#</th><th>Seed</th><th>Desired</th><th>Same Bldg</th><th>Pref Bldg</th><th>Other</th><th>Wasted Seats</th><th>Unscheduled</th><th></th></tr>
+        </thead>
+        <tbody>
+            ${ranked.map((r, i) => `
+                <tr class="${r.seed === AppState.lastSeed ? 'active-row' : ''}">
+                    <td>${i + 1}</td>
+                    <td>${r.seed}</td>
+                    <td>${pct(r.metrics, 0)}</td>
+                    <td>${pct(r.metrics, 1)}</td>
+                    <td>${pct(r.metrics, 2)}</td>
+                    <td>${pct(r.metrics, 3)}</td>
+                    <td>${r.avgWastedSeats.toFixed(1)}</td>
+                    <td>${r.unscheduled}</td>
+                    <td><button class="btn btn-outline btn-small" data-seed="${r.seed}">Load</button></td>
+                </tr>`).join('')}
+        </tbody>
+    `;
+
+    UI.batchTable.querySelectorAll('button[data-seed]').forEach(btn => {
+        btn.onclick = () => loadBatchResult(parseInt(btn.dataset.seed));
+    });
+}
+
+function loadBatchResult(seed) {
+    const batch = AppState.batch;
+    const result = batch.results.find(r => r.seed === seed);
+    if (!result) return;
+
+    AppState.lastSeed = seed;
+    AppState.lastOptimization = result.optimization;
+    showSchedule(buildScheduleFromPlacements(batch.input, result.placements));
+    renderBatchResults();
+}
+
+function updateMetrics(schedule) {
+    const m = schedule.metrics;
     const total = m.reduce((a, b) => a + b, 0);
     const p = (val) => total > 0 ? ((val / total) * 100).toFixed(1) + '%' : '0%';
 
@@ -224,14 +686,255 @@ function updateMetrics(m) {
         <span class="metric-item"><span class="highlight">${p(m[1])}</span> Same Building</span>
         <span class="metric-item"><span class="highlight">${p(m[2])}</span> Preference Building</span>
         <span class="metric-item"><span class="highlight">${p(m[3])}</span> Unpreferred/Other</span>
+        <span class="metric-item"><span class="highlight">${schedule.avgWastedSeats.toFixed(1)}</span> Avg. Wasted Seats</span>
+    `;
+
+    // Which preference rank the placements achieved ("Room" = a preferred room)
+    const ranks = Object.entries(schedule.rankCounts)
+        .sort(([a], [b]) => (a === 'Room' ? 0 : parseInt(a)) - (b === 'Room' ? 0 : parseInt(b)))
+        .map(([rank, n]) => `${rank === 'Room' ? 'Room' : `#${rank}`}: ${n}`);
+    if (ranks.length > 0) {
+        UI.metricsDisplay.innerHTML += `<span class="metric-item">Preference ranks · ${ranks.join(" · ")}</span>`;
+    }
+}
+
+// Events meeting on days that are not selected, so the user can add the day or fix the data
+function renderInactiveDays(schedule) {
+    const rows = schedule.events
+        .map(e => ({ e, inactive: schedule.getInactiveDays(e) }))
+        .filter(r => r.inactive.length > 0);
+    UI.daysCard.hidden = rows.length === 0;
+    UI.daysStatus.textContent = `${rows.length} events`;
+    UI.daysTable.innerHTML = `
+        <thead>
+            <tr><th>Section</th><th>Meets</th><th>Unscheduled Days</th><th>Placed</th></tr>
+        </thead>
+        <tbody>
+            ${rows.map(({ e, inactive }) => `
+                <tr>
+                    <td>${escapeHtml(e.eventCode)}</td>
+                    <td>${e.timeObj.days.join("")} ${escapeHtml(e.timeObj.totalTime)}</td>
+                    <td>${inactive.join(", ")}</td>
+                    <td>${e.placedLocation ? escapeHtml(e.placedLocation) : '<span class="muted">Not placed</span>'}</td>
+                </tr>`).join('')}
+        </tbody>
+    `;
+}
+
+// Back-to-back sections (same instructor or department) without enough time to walk between buildings
+function renderTightTransitions(schedule) {
+    const transitions = schedule.findTightTransitions(schedule.events);
+    UI.transitionsCard.hidden = transitions.length === 0;
+    UI.transitionsStatus.textContent = `${transitions.length} found`;
+
+    const describe = (e) => `${escapeHtml(e.eventCode)} <span class="muted">${e.timeObj.days.join("")} ${escapeHtml(e.timeObj.totalTime)} · ${escapeHtml(e.placedLocation)}</span>`;
+    UI.transitionsTable.innerHTML = `
+        <thead>
+            <tr><th>Shared By</th><th>From</th><th>To</th><th>Gap</th><th>Travel</th></tr>
+        </thead>
+        <tbody>
+            ${transitions.slice(0, 500).map(t => `
+                <tr>
+                    <td>${escapeHtml(t.key)} <span class="muted">${t.kind}</span></td>
+                    <td>${describe(t.a)}</td>
+                    <td>${describe(t.b)}</td>
+                    <td>${t.gapMin} min</td>
+                    <td>${t.travelMin} min</td>
+                </tr>`).join('')}
+        </tbody>
+    `;
+}
+
+function renderInstructorConflicts(schedule) {
+    const conflicts = schedule.instructorConflicts;
+    UI.conflictsCard.hidden = schedule.instructorMode === 'off';
+    UI.conflictsStatus.textContent = conflicts.length === 0 ? 'None' : `${conflicts.length} found`;
+
+    const describe = (e) => `${escapeHtml(e.eventCode)} <span class="muted">${e.timeObj.days.join("")} ${escapeHtml(e.timeObj.totalTime)} · ${escapeHtml(e.placedLocation)}</span>`;
+    UI.conflictsTable.innerHTML = `
+        <thead>
+            <tr><th>Instructor</th><th>Type</th><th>Section</th><th>Clashes With</th></tr>
+        </thead>
+        <tbody>
+            ${conflicts.map(c => `
+                <tr>
+                    <td>${escapeHtml(c.instructor)}</td>
+                    <td>${c.type === 'overlap' ? 'Double booked' : `Travel (${c.gapMin} of ${c.travelMin} min)`}</td>
+                    <td>${describe(c.a)}</td>
+                    <td>${describe(c.b)}</td>
+                </tr>`).join('')}
+        </tbody>
     `;
 }
 
+/**
+ * Baseline Diff
+ * What changed relative to a previously exported schedule, and why.
+ */
+function renderBaselineDiff(schedule) {
+    const diff = schedule.getBaselineDiff();
+    UI.diffCard.hidden = !schedule.baseline;
+    if (!schedule.baseline) return;
+
+    const counts = { kept: 0, moved: 0, new: 0, dropped: 0 };
+    diff.forEach(d => counts[d.status]++);
+    UI.diffSummary.textContent = `${counts.kept} kept · ${counts.moved} moved · ${counts.new} new · ${counts.dropped} dropped`;
+
+    const changes = diff.filter(d => d.status !== 'kept');
+    UI.diffTable.innerHTML = `
+        <thead>
+            <tr><th>Code</th><th>Status</th><th>From</th><th>To</th><th>Why</th></tr>
+        </thead>
+        <tbody>
+            ${changes.map(d => `
+                <tr>
+                    <td>${escapeHtml(d.code)}</td>
+                    <td>${d.status}</td>
+                    <td>${escapeHtml(d.from || '—')}</td>
+                    <td>${escapeHtml(d.to || '—')}</td>
+                    <td class="muted">${escapeHtml(d.reason)}</td>
+                </tr>`).join('')}
+        </tbody>
+    `;
+}
+
+function exportBaselineDiff() {
+    if (!AppState.schedule) return;
+    const data = AppState.schedule.getBaselineDiff().map(d => ({
+        Code: d.code,
+        Status: d.status,
+        From: d.from,
+        To: d.to,
+        Reason: d.reason
+    }));
+    downloadString(Papa.unparse(data), "baseline_diff.csv");
+}
+
+/**
+ * Run Configuration
+ * Everything needed to regenerate an identical schedule, saved as JSON.
+ * File fingerprints let a colleague confirm they loaded the same data.
+ */
+function saveRunConfig() {
+    const input = getRunInput();
+    if (!input) return;
+
+    const typed = parseInt(UI.inputs.seed.value);
+    const seed = Number.isFinite(typed) && typed > 0 ? typed : AppState.lastSeed;
+    if (!seed) {
+        alert("Generate a schedule or enter a seed before saving the run configuration.");
+        return;
+    }
+
+    const config = {
+        version: 1,
+        ...input.config,
+        seed,
+        files: AppState.files
+    };
+    downloadString(JSON.stringify(config, null, 2), `run_config_${seed}.json`);
+}
+
+function loadRunConfig(file) {
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = (e) => {
+        let config;
+        try {
+            config = JSON.parse(e.target.result);
+        } catch (err) {
+            console.error(err);
+            alert("Invalid run configuration file");
+            return;
+        }
+
+        document.querySelectorAll('.day-picker input').forEach(cb => {
+            cb.checked = (config.days || []).includes(cb.value);
+        });
+        if (config.startTime !== undefined) UI.inputs.startTime.value = config.startTime;
+        if (config.endTime !== undefined) UI.inputs.endTime.value = config.endTime;
+        if (config.interval !== undefined) UI.inputs.interval.value = config.interval;
+        if (config.gap !== undefined) UI.inputs.gap.value = config.gap;
+        if (config.iterations !== undefined) UI.inputs.optIterations.value = config.iterations;
+        if (config.timeLimitSec !== undefined) UI.inputs.optTime.value = config.timeLimitSec;
+        if (config.seed !== undefined) UI.inputs.seed.value = config.seed;
+        if (config.instructorMode !== undefined) UI.inputs.instructorMode.value = config.instructorMode;
+        if (config.travelGap !== undefined) UI.inputs.travelGap.value = config.travelGap;
+        if (config.linkSameBuilding !== undefined) UI.inputs.linkSameBuilding.checked = config.linkSameBuilding;
+        if (config.bestFit !== undefined) UI.inputs.bestFit.checked = config.bestFit;
+        if (config.fitSlack !== undefined) UI.inputs.fitSlack.value = config.fitSlack;
+        if (config.pins !== undefined) {
+            AppState.pins = { ...config.pins };
+            renderPinCount();
+        }
+        if (config.excludedRows !== undefined) {
+            AppState.excludedRows.events = new Set(config.excludedRows.events || []);
+            AppState.excludedRows.locations = new Set(config.excludedRows.locations || []);
+            renderValidation();
+        }
+
+        // Compare the saved fingerprints with what is loaded now
+        const warnings = [];
+        Object.entries(config.files || {}).forEach(([type, saved]) => {
+            const current = AppState.files[type];
+            if (!current) {
+                warnings.push(`${type}: not loaded (expected ${saved.name})`);
+            } else if (current.hash !== saved.hash || current.rows !== saved.rows) {
+                warnings.push(`${type}: ${current.name} differs from ${saved.name}`);
+            }
+        });
+        if (config.iterations > 0 && config.timeLimitSec > 0) {
+            warnings.push("optimization has a time budget, so results can differ between machines");
+        }
+
+        if (warnings.length > 0) {
+            alert("Run configuration loaded, but the schedule may not match:\n- " + warnings.join("\n- "));
+        }
+    };
+    reader.readAsText(file);
+}
+
 /**
  * Visualization
  */
-function renderChart(schedule) {
-    const traces = schedule.getPlotlyData();
+// Chart filters redraw the main chart as they change
+function setupChartFilters() {
+    Object.values(UI.filters).forEach(input => {
+        input.addEventListener(input.tagName === 'SELECT' ? 'change' : 'input', () => {
+            if (AppState.schedule) renderChart(AppState.schedule);
+        });
+    });
+}
+
+// Building and department choices for the current schedule, keeping the selection when still present
+function renderChartFilters(schedule) {
+    const fill = (select, values) => {
+        const current = select.value;
+        select.innerHTML = `<option value="">All</option>` + values.map(v => `<option value="${escapeHtml(v)}">${escapeHtml(v)}</option>`).join('');
+        select.value = values.includes(current) ? current : '';
+    };
+    fill(UI.filters.building, [...new Set(schedule.locations.map(l => l.building))].sort());
+    fill(UI.filters.dept, [...new Set(schedule.events.map(e => e.dept))].sort());
+}
+
+function getChartFilters() {
+    const f = UI.filters;
+    return {
+        building: f.building.value,
+        dept: f.dept.value,
+        metric: f.metric.value,
+        minCapacity: parseInt(f.minCapacity.value),
+        maxCapacity: parseInt(f.maxCapacity.value),
+        search: f.search.value,
+        colorBy: f.colorBy.value
+    };
+}
+
+// The main chart follows the filter controls; other charts pass their own options
+function renderChart(schedule, target = UI.chartDiv, title = 'Classroom Schedule', options = null) {
+    const traces = schedule.getPlotlyData(options || (target === UI.chartDiv ? getChartFilters() : {}));
+    const rowCount = new Set(traces.flatMap(t => t.y)).size;
 
     // Prepare Layout
     // We need to construct custom tick text for the X axis to show Time + Day
@@ -245,8 +948,8 @@ function renderChart(schedule) {
 
     // Create ticks every Hour?
     // StartHour
-    const startH = parseInt(UI.inputs.startTime.value);
-    const endH = parseInt(UI.inputs.endTime.value);
+    const startH = Math.floor(schedule.schStartMin / 60);
+    const endH = Math.floor(schedule.schEndMin / 60);
 
     schedule.shortDays.forEach((day, dIndex) => {
         const dayOffset = dIndex * dayDurationUnits;
@@ -288,8 +991,8 @@ function renderChart(schedule) {
     }
 
     const layout = {
-        title: 'Classroom Schedule',
-        barmode: 'stack', // Not really stacking but good default
+        title: title,
+        barmode: 'overlay', // Every bar has an explicit base; closed-time bars sit under events
         paper_bgcolor: '#1e1e1e',
         plot_bgcolor: '#1e1e1e',
         font: {
@@ -298,6 +1001,7 @@ function renderChart(schedule) {
         },
         yaxis: {
             autorange: 'reversed', // A-Z top to bottom
+            categoryorder: 'category ascending', // Rows come from several traces
             gridcolor: '#333'
         },
         xaxis: {
@@ -308,10 +1012,17 @@ function renderChart(schedule) {
         },
         shapes: shapes,
         margin: { l: 150, r: 20, t: 50, b: 50 },
-        height: Math.max(600, schedule.locations.length * 30) // Dynamic height
+        height: Math.max(600, rowCount * 30) // Dynamic height
     };
 
-    Plotly.newPlot(UI.chartDiv, traces, layout, { responsive: true });
+    Plotly.newPlot(target, traces, layout, { responsive: true });
+    if (target !== UI.chartDiv) return;
+
+    // Click a bar to inspect, move or pin its event (newPlot purges old listeners)
+    UI.chartDiv.on('plotly_click', (data) => {
+        const point = data.points[0];
+        if (point && point.customdata !== undefined) openInspector(point.customdata);
+    });
 }
 
 /**
@@ -319,66 +1030,105 @@ function renderChart(schedule) {
  */
 function exportCSV() {
     if (!AppState.schedule) return;
+    const csv = Papa.unparse(getExportRows(AppState.schedule));
+    downloadString(csv, "classroom_schedule.csv");
+}
 
+// One row per event as written to classroom_schedule.csv (and the Excel export)
+function getExportRows(schedule) {
     // Reconstruct the logic from python exportToCSV
     // Needed: Code, Event, Days, Time, Event_Enrollment, Event_Capacity, Max, PastLocation, PlacedLocation, Metric
+    // Every event is listed (including cross-listed riders and unplaced events)
 
-    // We need to find all events that were passed to createSchedule.
-    // The schedule object returned {failures, events} in JS, but we didn't store returned events specifically,
-    // we modified the input events array in place.
-    // So we can re-use the `events` array we created in generateSchedule... but we need access to it.
-    // Let's grab it from the grid or just store it in AppState.
-
-    // Actually, AppState.schedule is the object. But events list?
-    // We didn't save the modified event objects list to AppState.
-    // Let's extract them from the grid + unscheduled?
-    // Easier: Just look at the grid.
-
-    const uniqueEvents = new Set();
-    const grid = AppState.schedule.scheduleGrid;
-
-    Object.values(grid).forEach(row => {
-        row.forEach(cell => {
-            if (cell !== 0) uniqueEvents.add(cell);
-        });
-    });
-
-    const data = Array.from(uniqueEvents).map(e => ({
+    return schedule.events.map(e => ({
         Code: e.eventCode,
         Event: e.name,
         Days: e.timeObj.days.join(""),
         Time: e.timeObj.totalTime,
+        Dates: e.timeObj.getDateRangeText(),
         Enrollment: e.seats,
         Capacity: e.capacity,
         Max: e.maxCapacity,
         PastLocation: e.pastLocationString,
         Location: e.placedLocation,
-        Metric: e.metric
+        Metric: e.metric,
+        PrefRank: e.prefRank === null ? "" : e.prefRank,
+        RequiredFeatures: e.requiredFeatures.join("/"),
+        Instructor: e.instructors.join("/"),
+        CrossList: e.crosslistCode,
+        Link: e.linkCode,
+        InstructorConflicts: e.instructorConflicts.join("; "),
+        Note: e.note
     }));
-
-    const csv = Papa.unparse(data);
-    downloadString(csv, "classroom_schedule.csv");
 }
 
 /**
  * Utilities
  */
+// File text (titles, codes, room names...) is data, not markup
+function escapeHtml(text) {
+    return String(text ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
+
 function downloadTemplate(type) {
     let csv = "";
     if (type === 'events') {
-        csv = "event_cde,event_title,event_enrollment,event_capacity,max_enrollment,begin_time,end_time,bldg_cde,room_cde,monday_cde,tuesday_cde,wednesday_cde,thursday_cde,friday_cde\nCS101,Intro CS,30,40,50,09:00,10:30,BLDG,101,M,,W,,F";
+        csv = "event_cde,event_title,event_enrollment,event_capacity,max_enrollment,begin_time,end_time,bldg_cde,room_cde,monday_cde,tuesday_cde,wednesday_cde,thursday_cde,friday_cde,saturday_cde,sunday_cde,required_features,instructor,crosslist_cde,link_cde,begin_dte,end_dte,event_date\nCS101,Intro CS,30,40,50,09:00,10:30,BLDG,101,M,,W,,F,,,Projector,Smith,,CS101,,,";
     } else if (type === 'locations') {
-        csv = "Location,Capacity,Features\nBLDG 101,50,Projector/Whiteboard\nBLDG 102,30,TV";
+        csv = "Location,Capacity,Features,Available,Blackout\nBLDG 101,50,Projector/Whiteboard,,MWF 10:00-10:50\nBLDG 102,30,TV,MTWRF 17:00-22:00,";
     } else if (type === 'prefs') {
-        const json = JSON.stringify({ "CS": ["BLDG"] }, null, 2);
+        const json = JSON.stringify({
+            departments: {
+                "CS": { buildings: ["BLDG", "BLDG2"], rooms: ["BLDG 101"], forbidden: ["BLDG 102"], weight: 1 }
+            },
+            courses: {
+                "CS101": { rooms: ["BLDG 201"], weight: 2 }
+            }
+        }, null, 2);
         downloadString(json, "prefs_template.json");
         return;
+    } else if (type === 'gaps') {
+        const json = JSON.stringify({
+            buildingGaps: { "BLDG": 15 },
+            featureGaps: { "Fume Hood": 30 },
+            travel: { "BLDG": { "BLDG2": 10, "BLDG3": 20 }, "BLDG2": { "BLDG3": 15 } }
+        }, null, 2);
+        downloadString(json, "gaps_template.json");
+        return;
+    } else if (type === 'exams') {
+        const json = JSON.stringify({
+            blocks: {
+                "MWF 9:00": { day: "M", begin: "8:00", end: "10:00" },
+                "TR 9:30": { date: "2026-05-05", begin: "8:00", end: "10:00" }
+            }
+        }, null, 2);
+        downloadString(json, "exams_template.json");
+        return;
     }
     downloadString(csv, `${type}_template.csv`);
 }
 
+// Content fingerprint of parsed file data (FNV-1a over its JSON form)
+function fileFingerprint(name, data) {
+    const str = JSON.stringify(data);
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+        hash ^= str.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    return {
+        name,
+        rows: Array.isArray(data) ? data.length : Object.keys(data).length,
+        hash: hash.toString(16).padStart(8, '0')
+    };
+}
+
 function downloadString(content, filename) {
-    const blob = new Blob([content], { type: 'text/plain' });
+    downloadBlob(new Blob([content], { type: 'text/plain' }), filename);
+}
+
+function downloadBlob(blob, filename) {
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
     a.href = url;
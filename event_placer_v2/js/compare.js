@@ -0,0 +1,249 @@
+/**
+ * compare.js
+ * Scenario comparison: keep the current schedule (or load an exported
+ * classroom_schedule.csv/.xlsx) as scenario A, then compare every later run
+ * (scenario B) against it: metric deltas, events that changed room or
+ * building or got/lost a real room, booked hours gained or lost per room,
+ * and B's chart with those events highlighted. Both sides are reduced to
+ * export rows (getExportRows), so generated and uploaded scenarios compare
+ * the same way.
+ */
+
+const CompareUI = {
+    status: document.getElementById('scenario-status'),
+    btnKeep: document.getElementById('btn-keep-scenario'),
+    fileInput: document.getElementById('file-scenario'),
+    btnClear: document.getElementById('btn-clear-scenario'),
+    card: document.getElementById('compare-card'),
+    summary: document.getElementById('compare-summary'),
+    metricsTable: document.getElementById('compare-metrics'),
+    movesTable: document.getElementById('compare-moves'),
+    roomsTable: document.getElementById('compare-rooms'),
+    chartDiv: document.getElementById('compare-graph')
+};
+
+let scenarioA = null;
+
+function setupCompare() {
+    CompareUI.btnKeep.addEventListener('click', () => {
+        if (!AppState.schedule) return;
+        scenarioA = buildSnapshot(getExportRows(AppState.schedule), `Seed ${AppState.lastSeed}`, AppState.schedule.avgWastedSeats);
+        renderComparison(AppState.schedule);
+    });
+    CompareUI.fileInput.addEventListener('change', (e) => {
+        loadScenarioFile(e.target.files[0]);
+        e.target.value = "";
+    });
+    CompareUI.btnClear.addEventListener('click', () => {
+        scenarioA = null;
+        renderComparison(AppState.schedule);
+    });
+    renderComparison(null);
+}
+
+// Scenario A from a previous export, read like the baseline upload
+function loadScenarioFile(file) {
+    if (!file) return;
+    const useRows = (rows) => {
+        if (!rows) return;
+        if (rows.length === 0 || !rows[0].hasOwnProperty('Code') || !rows[0].hasOwnProperty('Location')) {
+            alert("Invalid scenario. Load a classroom_schedule.csv or .xlsx exported by this tool ('Code' and 'Location' columns).");
+            return;
+        }
+        scenarioA = buildSnapshot(rows, file.name);
+        renderComparison(AppState.schedule);
+    };
+
+    if (/\.xlsx$/i.test(file.name)) {
+        readWorkbookRows(file).then(useRows).catch(err => {
+            console.error(err);
+            alert("Could not read the Excel workbook");
+        });
+        return;
+    }
+    Papa.parse(file, {
+        header: true,
+        skipEmptyLines: true,
+        complete: (results) => useRows(results.data)
+    });
+}
+
+// No room or a virtual "UN x" overflow room (its number changes from run to run)
+function isUnscheduledLocation(loc) {
+    return !loc || /^UN \d+$/.test(loc);
+}
+
+// Length of an exported "H:MM - H:MM" time in minutes
+function exportRowMinutes(row) {
+    const [begin, end] = String(row.Time || "").split(" - ");
+    const minutes = parseClockTime(end) - parseClockTime(begin);
+    return Number.isFinite(minutes) && minutes > 0 ? minutes : 0;
+}
+
+/**
+ * Everything the comparison needs from a list of export rows:
+ *   byCode:   { code: row }
+ *   metrics:  { counts[1..4], placed, unscheduled, avgWastedSeats (null for uploads) }
+ *   roomHours: { room: booked hours per week } (cross-listed riders counted once)
+ */
+function buildSnapshot(rows, label, avgWastedSeats = null) {
+    const byCode = {};
+    const counts = [0, 0, 0, 0, 0];
+    let unscheduled = 0;
+    const meetings = new Set();
+    const roomHours = {};
+
+    rows.forEach(row => {
+        byCode[row.Code] = row;
+        const metric = parseInt(row.Metric);
+        if (metric >= 1 && metric <= 4) counts[metric]++;
+        if (isUnscheduledLocation(row.Location)) {
+            unscheduled++;
+            return;
+        }
+        // Riders share their primary's room and time, so one meeting per room/days/time/dates
+        const key = [row.Location, row.Days, row.Time, row.Dates].join("|");
+        if (meetings.has(key)) return;
+        meetings.add(key);
+        const days = parseDayString(row.Days || "").days.length;
+        roomHours[row.Location] = (roomHours[row.Location] || 0) + days * exportRowMinutes(row) / 60;
+    });
+
+    return {
+        label,
+        byCode,
+        metrics: { counts, placed: rows.length - unscheduled, unscheduled, avgWastedSeats },
+        roomHours
+    };
+}
+
+/**
+ * Scenario A vs B:
+ *   metrics: [{ label, a, b, format }]
+ *   moves:   [{ code, title, from, to, buildingChanged, status }] where status is 'moved' (another
+ *            room), 'scheduled'/'unscheduled' (got or lost a real room), 'new' or 'dropped'.
+ *            Events unscheduled in both are unchanged, whatever "UN x" room they landed in.
+ *   rooms:   [{ room, a, b }] booked hours that changed, largest change first
+ */
+function compareSnapshots(a, b) {
+    const total = (s) => s.metrics.counts.reduce((sum, n) => sum + n, 0);
+    const share = (s, m) => total(s) > 0 ? s.metrics.counts[m] / total(s) : 0;
+    const metrics = [1, 2, 3, 4].map(m => ({ label: METRIC_LABELS[m], a: share(a, m), b: share(b, m), format: 'percent' }))
+        .concat([
+            { label: 'Placed Events', a: a.metrics.placed, b: b.metrics.placed, format: 'count' },
+            { label: 'Unscheduled Events', a: a.metrics.unscheduled, b: b.metrics.unscheduled, format: 'count' }
+        ]);
+    if (a.metrics.avgWastedSeats !== null && b.metrics.avgWastedSeats !== null) {
+        metrics.push({ label: 'Avg. Wasted Seats', a: a.metrics.avgWastedSeats, b: b.metrics.avgWastedSeats, format: 'decimal' });
+    }
+
+    const building = (loc) => loc ? loc.split(" ")[0] : "";
+    const moves = [];
+    Object.values(b.byCode).forEach(row => {
+        const before = a.byCode[row.Code];
+        if (!before) {
+            moves.push({ code: row.Code, title: row.Event, from: "", to: row.Location, buildingChanged: false, status: 'new' });
+            return;
+        }
+        const wasOut = isUnscheduledLocation(before.Location);
+        const isOut = isUnscheduledLocation(row.Location);
+        if (wasOut && isOut) return;
+        if (wasOut || isOut) {
+            moves.push({
+                code: row.Code, title: row.Event, from: before.Location, to: row.Location,
+                buildingChanged: false, status: isOut ? 'unscheduled' : 'scheduled'
+            });
+        } else if (before.Location !== row.Location) {
+            moves.push({
+                code: row.Code, title: row.Event, from: before.Location, to: row.Location,
+                buildingChanged: building(before.Location) !== building(row.Location), status: 'moved'
+            });
+        }
+    });
+    Object.values(a.byCode).forEach(row => {
+        if (!b.byCode[row.Code]) moves.push({ code: row.Code, title: row.Event, from: row.Location, to: "", buildingChanged: false, status: 'dropped' });
+    });
+
+    const roomNames = new Set(Object.keys(a.roomHours).concat(Object.keys(b.roomHours)));
+    const rooms = [...roomNames]
+        .map(room => ({ room, a: a.roomHours[room] || 0, b: b.roomHours[room] || 0 }))
+        .filter(r => Math.abs(r.b - r.a) > 1e-9)
+        .sort((x, y) => Math.abs(y.b - y.a) - Math.abs(x.b - x.a) || x.room.localeCompare(y.room));
+
+    return { metrics, moves, rooms };
+}
+
+function formatDelta(value, format) {
+    const sign = value > 0 ? '+' : '';
+    if (format === 'percent') return `${sign}${(value * 100).toFixed(1)} pts`;
+    if (format === 'decimal') return `${sign}${value.toFixed(1)}`;
+    return `${sign}${value}`;
+}
+
+function renderComparison(schedule) {
+    CompareUI.status.textContent = scenarioA ? `A: ${scenarioA.label}` : 'No scenario kept';
+    CompareUI.btnKeep.disabled = !schedule;
+    CompareUI.btnClear.disabled = !scenarioA;
+    CompareUI.card.hidden = !(scenarioA && schedule);
+    if (!scenarioA || !schedule) return;
+
+    const scenarioB = buildSnapshot(getExportRows(schedule), `Seed ${AppState.lastSeed}`, schedule.avgWastedSeats);
+    const diff = compareSnapshots(scenarioA, scenarioB);
+    const counts = { moved: 0, scheduled: 0, unscheduled: 0, new: 0, dropped: 0 };
+    diff.moves.forEach(m => counts[m.status]++);
+    const buildingMoves = diff.moves.filter(m => m.buildingChanged).length;
+    CompareUI.summary.textContent = `${scenarioA.label} → ${scenarioB.label}: ${counts.moved} moved (${buildingMoves} to another building) · ` +
+        `${counts.scheduled} now scheduled · ${counts.unscheduled} now unscheduled · ${counts.new} new · ${counts.dropped} dropped`;
+
+    const show = (value, format) => format === 'percent' ? formatPercent(value) : format === 'decimal' ? value.toFixed(1) : value;
+    CompareUI.metricsTable.innerHTML = `
+        <thead>
+            <tr><th>Metric</th><th>Scenario A</th><th>Scenario B</th><th>Change</th></tr>
+        </thead>
+        <tbody>
+            ${diff.metrics.map(m => `
+                <tr>
+                    <td>${m.label}</td>
+                    <td>${show(m.a, m.format)}</td>
+                    <td>${show(m.b, m.format)}</td>
+                    <td>${formatDelta(m.b - m.a, m.format)}</td>
+                </tr>`).join('')}
+        </tbody>
+    `;
+
+    CompareUI.movesTable.innerHTML = `
+        <thead>
+            <tr><th>Code</th><th>Title</th><th>Status</th><th>From</th><th>To</th></tr>
+        </thead>
+        <tbody>
+            ${diff.moves.map(m => `
+                <tr>
+                    <td>${escapeHtml(m.code)}</td>
+                    <td>${escapeHtml(m.title)}</td>
+                    <td>${m.status}${m.buildingChanged ? ' <span class="muted">(building)</span>' : ''}</td>
+                    <td>${escapeHtml(m.from || '—')}</td>
+                    <td>${escapeHtml(m.to || '—')}</td>
+                </tr>`).join('')}
+        </tbody>
+    `;
+
+    CompareUI.roomsTable.innerHTML = `
+        <thead>
+            <tr><th>Room</th><th>Hours/Week A</th><th>Hours/Week B</th><th>Change</th></tr>
+        </thead>
+        <tbody>
+            ${diff.rooms.map(r => `
+                <tr>
+                    <td>${escapeHtml(r.room)}</td>
+                    <td>${r.a.toFixed(1)}</td>
+                    <td>${r.b.toFixed(1)}</td>
+                    <td>${formatDelta(r.b - r.a, 'decimal')}</td>
+                </tr>`).join('')}
+        </tbody>
+    `;
+
+    // B's chart with changed events highlighted; hover shows where a moved event was in A
+    const changed = {};
+    diff.moves.forEach(m => { if (m.status !== 'dropped') changed[m.code] = { status: m.status, from: m.from }; });
+    renderChart(schedule, CompareUI.chartDiv, 'Scenario B (changes highlighted)', { colorBy: 'diff', changed });
+}
@@ -0,0 +1,162 @@
+/**
+ * exams.js
+ * Final exam mode: maps each placed course meeting pattern (e.g. "MWF 9:00")
+ * to an exam block from a JSON mapping, then assigns exam rooms with a second
+ * Schedule so placeEvent's capacity and collision logic is reused. Each exam
+ * tries its class room first (phase 1 "historical"), then the same building.
+ *
+ * Mapping format:
+ * {
+ *   "blocks": {
+ *     "MWF 9:00": { "day": "M", "begin": "8:00", "end": "10:00" },  (any day spelling, see parseDayString)
+ *     "TR 9:30":  { "date": "2026-05-05", "begin": "8:00", "end": "10:00" }
+ *   }
+ * }
+ * A bare { "MWF 9:00": {...} } object is accepted too.
+ */
+
+const ExamUI = {
+    btnGenerate: document.getElementById('btn-generate-exams'),
+    btnExport: document.getElementById('btn-export-exams'),
+    card: document.getElementById('exam-card'),
+    summary: document.getElementById('exam-summary'),
+    chartDiv: document.getElementById('exam-graph'),
+    unmapped: document.getElementById('exam-unmapped')
+};
+
+// "MWF 9:00" / "MWF 09:00" -> "MWF 540"
+function examPatternKey(days, startMin) {
+    return `${days} ${startMin}`;
+}
+
+function parseExamMapping(mapping) {
+    const blocks = {};
+    Object.entries(mapping.blocks || mapping).forEach(([pattern, block]) => {
+        const [days, time] = pattern.trim().split(/\s+/);
+        blocks[examPatternKey(parseDayString(days).days.join(""), timeToMinutes(time))] = block;
+    });
+    return blocks;
+}
+
+/**
+ * Build exam event rows from the placed units of a schedule.
+ * Returns { rows, unmapped } where unmapped lists events with no exam block.
+ */
+function buildExamRows(schedule, mapping) {
+    const blocks = parseExamMapping(mapping);
+    const rows = [];
+    const unmapped = [];
+
+    schedule.events.forEach(e => {
+        if (e.crosslistParent || !e.placedLocation) return;
+        const block = blocks[examPatternKey(e.timeObj.days.join(""), e.timeObj.startMin)];
+        if (!block) {
+            unmapped.push(e);
+            return;
+        }
+
+        // The class room is the exam's "historical" location
+        const loc = schedule.locations.find(l => l.name === e.placedLocation);
+        const [bldg, room] = loc && !loc.isVirtual ? loc.name.split(" ") : ["", ""];
+        const row = {
+            event_cde: e.getUnitMembers().map(m => m.eventCode).join(" / "),
+            event_title: `Final: ${e.name}`,
+            event_enrollment: String(e.getTotalSeats()),
+            begin_time: block.begin,
+            end_time: block.end,
+            bldg_cde: bldg,
+            room_cde: room,
+            instructor: e.instructors.join("/")
+        };
+        if (block.date) row.event_date = block.date;
+        else row.days = block.day;
+        rows.push(row);
+    });
+    return { rows, unmapped };
+}
+
+// Assign exam rooms with a fresh Schedule over the days the blocks use
+function runExamSchedule(schedule, mapping, config, seed) {
+    const { rows, unmapped } = buildExamRows(schedule, mapping);
+    const events = rows.map((d, i) => new Event(d, i));
+
+    const fullNames = Object.entries(schedule.dayMap).reduce((acc, [full, short]) => (acc[short] = full, acc), {});
+    const usedDays = new Set();
+    events.forEach(e => e.timeObj.days.forEach(d => usedDays.add(d)));
+    const days = Object.keys(schedule.dayMap).filter(full => usedDays.has(schedule.dayMap[full]));
+
+    const locations = schedule.locations.filter(l => !l.isVirtual).map(l => new Location({
+        Location: l.name,
+        Capacity: l.capacity,
+        Features: l.features.join("/"),
+        Available: l.availableText,
+        Blackout: l.blackoutText
+    }));
+
+    const examSchedule = new Schedule(locations, config.startTime, config.endTime,
+        days.length > 0 ? days : [fullNames['M']], config.interval, config.gap);
+    examSchedule.setInstructorRules('flag', 0);
+    examSchedule.setGapRules(schedule.gapRules);
+    examSchedule.setFitRules(config.bestFit, config.fitSlack);
+    examSchedule.createSchedule(events, seed);
+    return { examSchedule, unmapped };
+}
+
+/**
+ * Exam UI
+ */
+function setupExams() {
+    ExamUI.btnGenerate.addEventListener('click', generateExams);
+    ExamUI.btnExport.addEventListener('click', exportExamCSV);
+}
+
+function generateExams() {
+    if (!AppState.schedule) {
+        alert("Generate a class schedule first.");
+        return;
+    }
+    if (!AppState.examsData) {
+        alert("Please upload an exam block mapping JSON first.");
+        return;
+    }
+
+    const input = getRunInput();
+    if (!input) return;
+    const { examSchedule, unmapped } = runExamSchedule(AppState.schedule, AppState.examsData, input.config, AppState.lastSeed);
+    AppState.exams = { schedule: examSchedule, unmapped };
+
+    ExamUI.card.hidden = false;
+    ExamUI.btnExport.disabled = false;
+    ExamUI.summary.textContent = `${examSchedule.events.length} exams · ${examSchedule.countUnscheduled(examSchedule.events)} without a room · ${unmapped.length} unmapped`;
+    ExamUI.unmapped.textContent = unmapped.length > 0
+        ? `No exam block for: ${unmapped.map(e => `${e.eventCode} (${e.timeObj.days.join("")} ${e.timeObj.beginTime})`).join(", ")}`
+        : "";
+    renderChart(examSchedule, ExamUI.chartDiv, 'Final Exam Schedule');
+}
+
+function exportExamCSV() {
+    if (!AppState.exams) return;
+    const { schedule, unmapped } = AppState.exams;
+    const data = schedule.events.map(e => ({
+        Code: e.eventCode,
+        Event: e.name,
+        Day: e.timeObj.getDateRangeText() || e.timeObj.days.join(""),
+        Time: e.timeObj.totalTime,
+        Enrollment: e.seats,
+        ClassLocation: e.pastLocationString.trim(),
+        ExamLocation: e.placedLocation,
+        Instructor: e.instructors.join("/"),
+        Note: e.instructorConflicts.join("; ")
+    })).concat(unmapped.map(e => ({
+        Code: e.eventCode,
+        Event: e.name,
+        Day: "",
+        Time: "",
+        Enrollment: e.getTotalSeats(),
+        ClassLocation: e.placedLocation,
+        ExamLocation: "",
+        Instructor: e.instructors.join("/"),
+        Note: "No exam block for this meeting pattern"
+    })));
+    downloadString(Papa.unparse(data), "exam_schedule.csv");
+}
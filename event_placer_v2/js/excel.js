@@ -0,0 +1,136 @@
+/**
+ * excel.js
+ * .xlsx import and export through SheetJS. Workbooks dropped on the events,
+ * locations, baseline or gaps zones are read sheet by sheet (a dialog asks
+ * which one when there are several); time and date cells are turned into the
+ * "H:MM" / "YYYY-MM-DD" text the CSV path expects, and zero-padded number
+ * cells keep their displayed text so room numbers like "007" survive.
+ * The export writes schedule, unscheduled, per-room summary and metrics sheets.
+ */
+
+const ExcelUI = {
+    dialog: document.getElementById('sheet-dialog'),
+    fileName: document.getElementById('sheet-dialog-file'),
+    select: document.getElementById('sheet-select'),
+    btnExport: document.getElementById('btn-export-xlsx')
+};
+
+function setupExcel() {
+    ExcelUI.btnExport.addEventListener('click', exportWorkbook);
+}
+
+// Ask which sheet to load; resolves to a sheet name, or null when cancelled
+function chooseSheet(fileName, sheetNames) {
+    if (sheetNames.length === 1) return Promise.resolve(sheetNames[0]);
+    ExcelUI.fileName.textContent = fileName;
+    ExcelUI.select.innerHTML = sheetNames.map(n => `<option value="${escapeHtml(n)}">${escapeHtml(n)}</option>`).join('');
+    // Esc closes without touching returnValue, so clear what the last "Load" left there
+    ExcelUI.dialog.returnValue = '';
+    return new Promise(resolve => {
+        ExcelUI.dialog.addEventListener('close', () => {
+            resolve(ExcelUI.dialog.returnValue === 'load' ? ExcelUI.select.value : null);
+        }, { once: true });
+        ExcelUI.dialog.showModal();
+    });
+}
+
+// Cell value as the text a CSV export of the sheet would have held
+function excelCellText(cell) {
+    if (!cell || cell.v === undefined || cell.v === null) return "";
+    if (cell.t === 'n' && cell.z && XLSX.SSF.is_date(cell.z)) {
+        const serial = cell.v;
+        // Time-only cells are a fraction of a day; anything else is a date (time of day dropped)
+        if (serial < 1) {
+            const minutes = Math.round(serial * 24 * 60);
+            return `${Math.floor(minutes / 60)}:${String(minutes % 60).padStart(2, '0')}`;
+        }
+        const parsed = XLSX.SSF.parse_date_code(serial);
+        return `${parsed.y}-${String(parsed.m).padStart(2, '0')}-${String(parsed.d).padStart(2, '0')}`;
+    }
+    // Displayed digits keep leading zeros ("007"); other formats ("1,200", "$12.50") use the value
+    if (cell.t === 'n' && cell.w !== undefined && /^\d+$/.test(cell.w.trim())) return cell.w.trim();
+    return String(cell.v).trim();
+}
+
+// Header-keyed rows of a sheet, skipping empty lines like Papa's skipEmptyLines
+function sheetToRows(sheet) {
+    if (!sheet['!ref']) return [];
+    const range = XLSX.utils.decode_range(sheet['!ref']);
+    const textAt = (r, c) => excelCellText(sheet[XLSX.utils.encode_cell({ r, c })]);
+
+    const headers = [];
+    for (let c = range.s.c; c <= range.e.c; c++) headers.push(textAt(range.s.r, c));
+
+    const rows = [];
+    for (let r = range.s.r + 1; r <= range.e.r; r++) {
+        const row = {};
+        let empty = true;
+        headers.forEach((h, i) => {
+            if (!h) return;
+            row[h] = textAt(r, range.s.c + i);
+            if (row[h] !== "") empty = false;
+        });
+        if (!empty) rows.push(row);
+    }
+    return rows;
+}
+
+// Rows of the chosen sheet of an .xlsx file, or null when the user cancels
+async function readWorkbookRows(file) {
+    const workbook = XLSX.read(await file.arrayBuffer(), { type: 'array', cellNF: true });
+    const sheetName = await chooseSheet(file.name, workbook.SheetNames);
+    if (!sheetName) return null;
+    return sheetToRows(workbook.Sheets[sheetName]);
+}
+
+function exportWorkbook() {
+    const schedule = AppState.schedule;
+    if (!schedule) return;
+
+    const rows = getExportRows(schedule);
+    const virtual = new Set(schedule.locations.filter(l => l.isVirtual).map(l => l.name));
+    const unscheduled = rows.filter(r => !r.Location || virtual.has(r.Location));
+
+    const stats = computeUtilization(schedule);
+    const roomRows = stats.rooms.map(r => ({
+        Room: r.name,
+        Building: r.building,
+        Capacity: r.capacity,
+        Events: r.events,
+        OccupiedSlots: r.occupied,
+        AvailableSlots: r.available,
+        Utilization: Number(r.utilization.toFixed(3)),
+        SeatFill: Number(r.seatFill.toFixed(3))
+    }));
+
+    const m = schedule.metrics;
+    const total = m.reduce((a, b) => a + b, 0);
+    const share = (val) => total > 0 ? Number((val / total).toFixed(3)) : 0;
+    const metricRows = [
+        { Metric: 'Seed', Value: AppState.lastSeed },
+        { Metric: 'Events', Value: schedule.events.length },
+        { Metric: 'Desired Location', Value: share(m[0]) },
+        { Metric: 'Same Building', Value: share(m[1]) },
+        { Metric: 'Preference Building', Value: share(m[2]) },
+        { Metric: 'Unpreferred/Other', Value: share(m[3]) },
+        { Metric: 'Avg. Wasted Seats', Value: Number(schedule.avgWastedSeats.toFixed(2)) },
+        { Metric: 'Overall Utilization', Value: Number(stats.utilization.toFixed(3)) },
+        { Metric: 'Unscheduled Events', Value: unscheduled.length },
+        { Metric: 'Virtual Rooms', Value: virtual.size },
+        { Metric: 'Instructor Conflicts', Value: schedule.instructorConflicts.length }
+    ].concat(Object.entries(schedule.rankCounts).map(([rank, n]) => ({
+        Metric: `Preference Rank ${rank === 'Room' ? 'Room' : `#${rank}`}`, Value: n
+    })));
+
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(rows), 'Schedule');
+    // Header-only sheet when everything was placed
+    XLSX.utils.book_append_sheet(workbook, unscheduled.length > 0
+        ? XLSX.utils.json_to_sheet(unscheduled)
+        : XLSX.utils.aoa_to_sheet([Object.keys(rows[0] || {})]), 'Unscheduled');
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(roomRows), 'Rooms');
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(metricRows), 'Metrics');
+
+    const data = XLSX.write(workbook, { bookType: 'xlsx', type: 'array' });
+    downloadBlob(new Blob([data], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' }), 'classroom_schedule.xlsx');
+}
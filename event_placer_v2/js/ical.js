@@ -0,0 +1,154 @@
+/**
+ * ical.js
+ * RFC 5545 calendar export: one .ics per room or per department, with a
+ * weekly RRULE per placed meeting between the term start and end dates
+ * entered in the Export card, bundled into a zip with JSZip.
+ * Times are floating (no time zone), i.e. local wall-clock time.
+ */
+
+const ICalUI = {
+    termStart: document.getElementById('term-start'),
+    termEnd: document.getElementById('term-end'),
+    groupBy: document.getElementById('ical-group'),
+    btnExport: document.getElementById('btn-export-ical')
+};
+
+const ICAL_BYDAY = { 'Su': 'SU', 'M': 'MO', 'T': 'TU', 'W': 'WE', 'R': 'TH', 'F': 'FR', 'Sa': 'SA' };
+
+function setupICal() {
+    ICalUI.btnExport.addEventListener('click', exportICal);
+}
+
+// Escape TEXT values (RFC 5545 3.3.11)
+function icalEscape(text) {
+    return String(text).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+}
+
+// Fold content lines longer than 75 octets (RFC 5545 3.1)
+function icalFold(line) {
+    const bytes = new TextEncoder().encode(line);
+    if (bytes.length <= 75) return line;
+    const parts = [];
+    let current = "";
+    let size = 0;
+    for (const ch of line) {
+        const len = new TextEncoder().encode(ch).length;
+        // Continuation lines start with a space, which counts toward the limit
+        if (size + len > (parts.length === 0 ? 75 : 74)) {
+            parts.push(current);
+            current = "";
+            size = 0;
+        }
+        current += ch;
+        size += len;
+    }
+    parts.push(current);
+    return parts.join("\r\n ");
+}
+
+// Day number + minutes -> "YYYYMMDDTHHMMSS" (floating local time)
+function icalDateTime(day, minutes) {
+    const date = dayToDateString(day).replace(/-/g, "");
+    const h = Math.floor(minutes / 60);
+    const m = minutes % 60;
+    return `${date}T${String(h).padStart(2, '0')}${String(m).padStart(2, '0')}00`;
+}
+
+/**
+ * VEVENT lines for one placed unit, or null when it never meets within the term.
+ * The meeting runs weekly from the first matching weekday on or after the later
+ * of term start and the event's own start date, until the earlier end date.
+ */
+function buildVEvent(event, termStart, termEnd, stamp) {
+    const t = event.timeObj;
+    const from = t.startDate !== null ? Math.max(termStart, t.startDate) : termStart;
+    const until = t.endDate !== null ? Math.min(termEnd, t.endDate) : termEnd;
+
+    let first = from;
+    while (first <= until && !t.days.includes(WEEKDAY_CODES[new Date(first * 86400000).getUTCDay()])) first++;
+    if (first > until) return null;
+
+    const members = event.getUnitMembers();
+    const lines = [
+        'BEGIN:VEVENT',
+        `UID:${icalEscape(`${members.map(m => m.eventCode).join("-")}-${event.id}`).replace(/\s+/g, "_")}@event-placer`,
+        `DTSTAMP:${stamp}`,
+        `DTSTART:${icalDateTime(first, t.startMin)}`,
+        `DTEND:${icalDateTime(first, t.endMin)}`
+    ];
+    if (first !== until) {
+        lines.push(`RRULE:FREQ=WEEKLY;BYDAY=${t.days.map(d => ICAL_BYDAY[d]).join(",")};UNTIL=${dayToDateString(until).replace(/-/g, "")}T235959`);
+    }
+    lines.push(
+        `SUMMARY:${icalEscape(`${members.map(m => m.eventCode).join(" / ")} ${members.map(m => m.name).join(" / ")}`)}`,
+        `LOCATION:${icalEscape(event.placedLocation)}`
+    );
+    const description = [
+        event.instructors.length > 0 ? `Instructor: ${event.instructors.join(", ")}` : "",
+        `Seats: ${event.getTotalSeats()}`
+    ].filter(d => d).join("\n");
+    lines.push(`DESCRIPTION:${icalEscape(description)}`, 'END:VEVENT');
+    return lines;
+}
+
+/**
+ * Calendars for a schedule as { filename: icsText }, grouped by 'room' or 'department'.
+ * termStart/termEnd are day numbers (see parseDateDay). Virtual rooms are skipped.
+ */
+function buildCalendars(schedule, termStart, termEnd, groupBy) {
+    const virtual = new Set(schedule.locations.filter(l => l.isVirtual).map(l => l.name));
+    const stamp = new Date().toISOString().replace(/[-:]/g, "").replace(/\.\d+/, "");
+    const groups = {};
+
+    schedule.events.forEach(e => {
+        if (e.crosslistParent || !e.placedLocation || virtual.has(e.placedLocation)) return;
+        const vevent = buildVEvent(e, termStart, termEnd, stamp);
+        if (!vevent) return;
+        // A cross-listed unit appears in the calendar of every member's department
+        const keys = groupBy === 'department'
+            ? [...new Set(e.getUnitMembers().map(m => m.dept || 'Other'))]
+            : [e.placedLocation];
+        keys.forEach(key => (groups[key] = groups[key] || []).push(vevent));
+    });
+
+    const calendars = {};
+    Object.entries(groups).forEach(([key, vevents]) => {
+        const lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            'PRODID:-//Event Placer//Schedule Export//EN',
+            'CALSCALE:GREGORIAN',
+            `X-WR-CALNAME:${icalEscape(key)}`
+        ].concat(...vevents, ['END:VCALENDAR']);
+        const filename = `${groupBy === 'department' ? 'dept' : 'room'}_${key.replace(/[^A-Za-z0-9_-]+/g, "_")}.ics`;
+        calendars[filename] = lines.map(icalFold).join("\r\n") + "\r\n";
+    });
+    return calendars;
+}
+
+async function exportICal() {
+    if (!AppState.schedule) return;
+    const termStart = parseDateDay(ICalUI.termStart.value);
+    const termEnd = parseDateDay(ICalUI.termEnd.value);
+    if (!Number.isFinite(termStart) || !Number.isFinite(termEnd) || termEnd < termStart) {
+        alert("Please enter the term start and end dates.");
+        return;
+    }
+
+    const calendars = buildCalendars(AppState.schedule, termStart, termEnd, ICalUI.groupBy.value);
+    const names = Object.keys(calendars);
+    if (names.length === 0) {
+        alert("No placed events meet within the term dates.");
+        return;
+    }
+
+    const zip = new JSZip();
+    names.forEach(name => zip.file(name, calendars[name]));
+    try {
+        const blob = await zip.generateAsync({ type: 'blob' });
+        downloadBlob(blob, `calendars_by_${ICalUI.groupBy.value}.zip`);
+    } catch (err) {
+        console.error(err);
+        alert("Could not build the calendar zip file");
+    }
+}
@@ -0,0 +1,195 @@
+/**
+ * inspector.js
+ * Selected-event panel: click a bar in the chart to see the event, move it
+ * to another room where placeEvent would succeed, and pin it so later
+ * regenerations place it there before phase 1. The placement trace shows
+ * which rooms and buildings each phase tried and why they were rejected;
+ * events can also be picked from the events table.
+ */
+
+const TRACE_LABELS = {
+    pinned: 'Pinned room',
+    baseline: 'Baseline room',
+    historical: 'Historical room',
+    building: 'Same building',
+    linked: 'Linked building',
+    preference: 'Preference building',
+    other: 'Other building',
+    virtual: 'Virtual room',
+    optimize: 'Optimizer',
+    manual: 'Moved by hand'
+};
+
+const InspectorUI = {
+    card: document.getElementById('inspector-card'),
+    title: document.getElementById('inspector-title'),
+    body: document.getElementById('inspector-body'),
+    pinCount: document.getElementById('pin-count'),
+    btnClearPins: document.getElementById('btn-clear-pins'),
+    eventsCard: document.getElementById('events-table-card'),
+    eventsSearch: document.getElementById('events-search'),
+    eventsTable: document.getElementById('events-table')
+};
+
+let inspectedEventId = null;
+
+function setupInspector() {
+    InspectorUI.btnClearPins.addEventListener('click', () => {
+        AppState.pins = {};
+        renderInspector();
+    });
+    InspectorUI.eventsSearch.addEventListener('input', renderEventsTable);
+    renderPinCount();
+}
+
+function openInspector(eventId) {
+    inspectedEventId = eventId;
+    renderInspector();
+    InspectorUI.card.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+}
+
+function renderPinCount() {
+    const n = Object.keys(AppState.pins).length;
+    InspectorUI.pinCount.textContent = `${n} pinned`;
+    InspectorUI.btnClearPins.disabled = n === 0;
+}
+
+function renderInspector() {
+    renderPinCount();
+    const schedule = AppState.schedule;
+    const event = schedule && schedule.events.find(e => e.id === inspectedEventId);
+    InspectorUI.card.hidden = !event;
+    if (!event) return;
+
+    const members = event.getUnitMembers();
+    const pinnedTo = members.map(m => AppState.pins[m.eventCode]).find(p => p);
+    const loc = schedule.locations.find(l => l.name === event.placedLocation);
+
+    InspectorUI.title.textContent = members.map(m => m.eventCode).join(" / ");
+
+    // Riders were placed with their primary, so the primary's trace applies
+    const trace = (event.crosslistParent || event).trace;
+
+    const alternatives = schedule.findAlternativeLocations(event)
+        .map(l => ({ loc: l, metric: schedule.getMetricFor(event, l.name) }))
+        .sort((a, b) => a.metric - b.metric || a.loc.capacity - b.loc.capacity);
+
+    InspectorUI.body.innerHTML = `
+        <dl class="detail-list">
+            <dt>Title</dt><dd>${escapeHtml(members.map(m => m.name).join(" / "))}</dd>
+            <dt>Meets</dt><dd>${event.timeObj.days.join("")} ${escapeHtml(event.timeObj.totalTime)}</dd>
+            <dt>Seats</dt><dd>${event.getTotalSeats()}${loc ? ` in ${loc.isVirtual ? 'virtual room' : `room of ${loc.capacity}`}` : ''}</dd>
+            <dt>Features</dt><dd>${escapeHtml(event.getRequiredFeatures().join(", ") || '—')}</dd>
+            <dt>Instructor</dt><dd>${escapeHtml(event.instructors.join(", ") || '—')}</dd>
+            <dt>Past Location</dt><dd>${escapeHtml(event.pastLocationString)}</dd>
+            <dt>Location</dt><dd>${escapeHtml(event.placedLocation || 'Unplaced')} <span class="muted">${METRIC_LABELS[event.metric] || ''}</span></dd>
+            <dt>Preference</dt><dd>${event.prefRank === 'room' ? 'Preferred room' : event.prefRank ? `Building choice #${event.prefRank}` : '—'}</dd>
+            <dt>Pinned</dt><dd>${pinnedTo ? escapeHtml(pinnedTo) : 'No'}</dd>
+        </dl>
+        <div class="inspector-actions">
+            ${pinnedTo
+                ? `<button class="btn btn-outline btn-small" id="btn-unpin">Unpin</button>`
+                : (loc && !loc.isVirtual ? `<button class="btn btn-outline btn-small" id="btn-pin">Pin Here</button>` : '')}
+        </div>
+        <h4 class="section-title">Placement Trace</h4>
+        <div class="table-body">
+            <table class="data-table">
+                <thead><tr><th>Step</th><th>Tried</th><th>Result</th><th>Details</th></tr></thead>
+                <tbody>
+                    ${trace.map(t => `
+                        <tr class="${t.outcome === 'placed' ? 'active-row' : ''}">
+                            <td>${TRACE_LABELS[t.phase] || t.phase}</td>
+                            <td>${escapeHtml(t.target)}</td>
+                            <td>${t.outcome}</td>
+                            <td class="muted">${escapeHtml(t.detail)}</td>
+                        </tr>`).join('')}
+                </tbody>
+            </table>
+        </div>
+        <h4 class="section-title">Valid Alternative Rooms (${alternatives.length})</h4>
+        <div class="table-body">
+            <table class="data-table">
+                <thead><tr><th>Room</th><th>Capacity</th><th>Result</th><th></th></tr></thead>
+                <tbody>
+                    ${alternatives.slice(0, 100).map(a => `
+                        <tr>
+                            <td>${escapeHtml(a.loc.name)}</td>
+                            <td>${a.loc.capacity}</td>
+                            <td>${METRIC_LABELS[a.metric]}</td>
+                            <td><button class="btn btn-outline btn-small" data-loc="${escapeHtml(a.loc.name)}">Move &amp; Pin</button></td>
+                        </tr>`).join('')}
+                </tbody>
+            </table>
+        </div>
+    `;
+
+    const btnPin = document.getElementById('btn-pin');
+    if (btnPin) btnPin.onclick = () => setPin(event, event.placedLocation);
+    const btnUnpin = document.getElementById('btn-unpin');
+    if (btnUnpin) btnUnpin.onclick = () => setPin(event, null);
+
+    InspectorUI.body.querySelectorAll('button[data-loc]').forEach(btn => {
+        btn.onclick = () => moveInspectedEvent(event, btn.dataset.loc);
+    });
+}
+
+// Pin (or unpin with null) every member of the unit
+function setPin(event, locName) {
+    event.getUnitMembers().forEach(m => {
+        if (locName) AppState.pins[m.eventCode] = locName;
+        else delete AppState.pins[m.eventCode];
+        m.pinned = !!locName;
+    });
+    AppState.schedule.setPins(AppState.pins);
+    renderChart(AppState.schedule);
+    renderInspector();
+}
+
+function moveInspectedEvent(event, locName) {
+    const schedule = AppState.schedule;
+    const loc = schedule.locations.find(l => l.name === locName);
+    if (!loc || !schedule.moveEvent(event, loc)) {
+        alert(`${event.eventCode} no longer fits in ${locName}.`);
+        renderInspector();
+        return;
+    }
+    setPin(event, locName);
+    showSchedule(schedule);
+}
+
+// All events of the schedule; click a row to inspect it
+function renderEventsTable() {
+    const schedule = AppState.schedule;
+    InspectorUI.eventsCard.hidden = !schedule;
+    if (!schedule) return;
+
+    const query = InspectorUI.eventsSearch.value.trim().toLowerCase();
+    const rows = schedule.events
+        .filter(e => !query || `${e.eventCode} ${e.name} ${e.placedLocation} ${e.instructors.join(" ")}`.toLowerCase().includes(query))
+        .sort((a, b) => String(a.eventCode).localeCompare(String(b.eventCode)));
+
+    InspectorUI.eventsTable.innerHTML = `
+        <thead>
+            <tr><th>Code</th><th>Title</th><th>Meets</th><th>Seats</th><th>Location</th><th>Result</th><th>Note</th></tr>
+        </thead>
+        <tbody>
+            ${rows.map(e => `
+                <tr data-id="${(e.crosslistParent || e).id}" class="${(e.crosslistParent || e).id === inspectedEventId ? 'active-row' : ''}">
+                    <td>${escapeHtml(e.eventCode)}</td>
+                    <td>${escapeHtml(e.name)}</td>
+                    <td>${e.timeObj.days.join("")} ${escapeHtml(e.timeObj.totalTime)}</td>
+                    <td>${e.seats}</td>
+                    <td>${escapeHtml(e.placedLocation || 'Unplaced')}</td>
+                    <td>${METRIC_LABELS[e.metric] || ''}</td>
+                    <td class="muted">${escapeHtml(e.note)}</td>
+                </tr>`).join('')}
+        </tbody>
+    `;
+    // Rows of cross-listed riders open their primary, which owns the unit's placement
+    InspectorUI.eventsTable.querySelectorAll('tr[data-id]').forEach(tr => {
+        tr.onclick = () => {
+            openInspector(parseInt(tr.dataset.id));
+            renderEventsTable();
+        };
+    });
+}
@@ -10,6 +10,12 @@ function getDept(eventCode) {
     return match ? match[0] : "";
 }
 
+// Helper: Split a "/"-separated list ("Projector/Fume Hood", "Smith/Jones") into trimmed names
+function parseSlashList(str) {
+    if (!str) return [];
+    return String(str).split("/").map(f => f.trim()).filter(f => f);
+}
+
 // Helper: Convert "HH:MM" string to minutes from midnight
 function timeToMinutes(timeStr) {
     if (!timeStr) return 0;
@@ -17,6 +23,82 @@ function timeToMinutes(timeStr) {
     return parseInt(parts[0]) * 60 + parseInt(parts[1]);
 }
 
+// Helper: Strict "H:MM" / "HH:MM[:SS]" parse for validation; NaN when unparseable
+function parseClockTime(timeStr) {
+    const match = String(timeStr || "").trim().match(/^(\d{1,2}):(\d{2})(?::\d{2})?$/);
+    if (!match) return NaN;
+    const h = parseInt(match[1]);
+    const m = parseInt(match[2]);
+    if (h > 24 || m > 59) return NaN;
+    return h * 60 + m;
+}
+
+// Helper: Parse "YYYY-MM-DD" or "M/D/YYYY" into a day number (days since 1970-01-01 UTC).
+// Returns null for empty input and NaN when unparseable.
+function parseDateDay(str) {
+    const text = String(str || "").trim();
+    if (!text) return null;
+    let match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+    let y, m, d;
+    if (match) [y, m, d] = [match[1], match[2], match[3]].map(Number);
+    else if ((match = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/))) [m, d, y] = [match[1], match[2], match[3]].map(Number);
+    else return NaN;
+    const ms = Date.UTC(y, m - 1, d);
+    const check = new Date(ms);
+    if (check.getUTCMonth() !== m - 1 || check.getUTCDate() !== d) return NaN;
+    return ms / 86400000;
+}
+
+// Helper: Day number -> "YYYY-MM-DD"
+function dayToDateString(day) {
+    return new Date(day * 86400000).toISOString().slice(0, 10);
+}
+
+// Day codes indexed by Date.getUTCDay()
+const WEEKDAY_CODES = ['Su', 'M', 'T', 'W', 'R', 'F', 'Sa'];
+
+// Per-day CSV columns in week order (Monday first, as the grid lays days out)
+const DAY_COLUMNS = [
+    ['monday_cde', 'M'], ['tuesday_cde', 'T'], ['wednesday_cde', 'W'], ['thursday_cde', 'R'],
+    ['friday_cde', 'F'], ['saturday_cde', 'Sa'], ['sunday_cde', 'Su']
+];
+
+// Spellings seen in registrar exports -> canonical day code
+const DAY_ALIASES = {
+    'm': 'M', 'mo': 'M', 'mon': 'M', 'monday': 'M',
+    't': 'T', 'tu': 'T', 'tue': 'T', 'tues': 'T', 'tuesday': 'T',
+    'w': 'W', 'we': 'W', 'wed': 'W', 'wednesday': 'W',
+    'r': 'R', 'th': 'R', 'thu': 'R', 'thur': 'R', 'thurs': 'R', 'thursday': 'R',
+    'f': 'F', 'fr': 'F', 'fri': 'F', 'friday': 'F',
+    's': 'Sa', 'sa': 'Sa', 'sat': 'Sa', 'saturday': 'Sa',
+    'u': 'Su', 'su': 'Su', 'sun': 'Su', 'sunday': 'Su'
+};
+
+// Helper: Parse a days string ("MWF", "TTh", "M/W/F", "Mon Wed", "SaSu") into canonical codes.
+// Returns { days, unknown } with days in week order and unrecognized pieces in unknown.
+function parseDayString(str) {
+    const found = new Set();
+    const unknown = [];
+    String(str || "").split(/[\s,\/;-]+/).filter(t => t).forEach(token => {
+        const whole = DAY_ALIASES[token.toLowerCase()];
+        if (whole) {
+            found.add(whole);
+            return;
+        }
+        // Run-together codes: match two-letter codes (Th, Tu, Sa, Su) before single letters,
+        // e.g. "TUTH" -> T R, "MTUWTHF" -> M T W R F, "SASU" -> Sa Su.
+        // Upper-case "SU" stays S + U so "MTWRFSU" keeps both weekend days.
+        const parts = token.match(/Th|TH|th|Tu|TU|tu|Sa|SA|sa|Su|su|[MTWRFSUmtwrfsu]/g) || [];
+        if (parts.join("").length !== token.length) {
+            unknown.push(token);
+            return;
+        }
+        parts.forEach(part => found.add(DAY_ALIASES[part.toLowerCase()]));
+    });
+    const order = DAY_COLUMNS.map(([, code]) => code);
+    return { days: order.filter(code => found.has(code)), unknown };
+}
+
 // Helper: Convert minutes from midnight to "HH:MM"
 function minutesToTime(minutes) {
     const h = Math.floor(minutes / 60);
@@ -24,11 +106,44 @@ function minutesToTime(minutes) {
     return `${h}:${m < 10 ? '0' : ''}${m}`;
 }
 
+// Helper: Parse room time windows separated by ";" ("F; MWF 10:00-10:50; 17:00-22:00").
+// Each window is optional days then an optional time range; days alone mean the whole day,
+// a time alone means every day. Returns { windows: [{ days|null, startMin, endMin }], errors }.
+function parseTimeWindows(str) {
+    const windows = [];
+    const errors = [];
+    String(str || "").split(";").map(w => w.trim()).filter(w => w).forEach(text => {
+        const match = text.match(/^([A-Za-z,\/ ]*?)\s*(?:(\d{1,2}:\d{2})\s*-\s*(\d{1,2}:\d{2}))?$/);
+        if (!match || (!match[1] && !match[2])) {
+            errors.push(text);
+            return;
+        }
+        let days = null;
+        if (match[1]) {
+            const parsed = parseDayString(match[1]);
+            if (parsed.unknown.length > 0 || parsed.days.length === 0) {
+                errors.push(text);
+                return;
+            }
+            days = parsed.days;
+        }
+        const startMin = match[2] ? parseClockTime(match[2]) : 0;
+        const endMin = match[3] ? parseClockTime(match[3]) : 24 * 60;
+        if (isNaN(startMin) || isNaN(endMin) || endMin <= startMin) {
+            errors.push(text);
+            return;
+        }
+        windows.push({ days, startMin, endMin });
+    });
+    return { windows, errors };
+}
+
 /**
  * Represents a single Course/Event to be scheduled.
  */
 class Event {
-    constructor(data) {
+    constructor(data, id) {
+        this.id = id; // Row index in the uploaded data, stable across runs
         // Handle different CSV header variations (Course vs Event file)
         this.eventCode = data.crs_cde || data.event_cde;
         this.name = data.crs_title || data.event_title;
@@ -41,17 +156,30 @@ class Event {
         const endStr = data.end_tim || data.end_time;
 
         // Days handling
-        // in CSV: monday_cde, tuesday_cde ...
-        // We need to construct a list of days: ['M', 'T', 'W', 'R', 'F']
-        this.days = [];
-        if (data.monday_cde) this.days.push(data.monday_cde);
-        if (data.tuesday_cde) this.days.push(data.tuesday_cde);
-        if (data.wednesday_cde) this.days.push(data.wednesday_cde);
-        if (data.thursday_cde) this.days.push(data.thursday_cde);
-        if (data.friday_cde) this.days.push(data.friday_cde);
-        if (data.saturday_cde) this.days.push(data.saturday_cde);
-
-        this.timeObj = new Time(beginStr, endStr, this.days);
+        // in CSV: monday_cde ... sunday_cde, or a single days column ("MWF")
+        // We need to construct a list of canonical codes: ['M', 'T', 'W', 'R', 'F', 'Sa', 'Su']
+        // A non-empty day column means that day, whatever code it holds ("S", "SAT", "Sa")
+        this.days = DAY_COLUMNS.filter(([col]) => String(data[col] || "").trim()).map(([, code]) => code);
+        this.unknownDayCodes = [];
+        if (this.days.length === 0 && (data.days || data.meeting_days)) {
+            const parsed = parseDayString(data.days || data.meeting_days);
+            this.days = parsed.days;
+            this.unknownDayCodes = parsed.unknown;
+        }
+
+        // Dates: a begin/end range (partial-term courses) or a single date (one-off bookings)
+        const singleDate = parseDateDay(data.event_date);
+        let beginDate = parseDateDay(data.begin_dte || data.begin_date);
+        let endDate = parseDateDay(data.end_dte || data.end_date);
+        if (Number.isFinite(singleDate)) {
+            beginDate = endDate = singleDate;
+            // A one-off booking meets on its own weekday
+            if (this.days.length === 0) this.days.push(WEEKDAY_CODES[new Date(singleDate * 86400000).getUTCDay()]);
+        }
+
+        this.timeObj = new Time(beginStr, endStr, this.days,
+            Number.isFinite(beginDate) ? beginDate : null,
+            Number.isFinite(endDate) ? endDate : null);
 
         // Location Info
         const bldg = data.bldg_cde || "";
@@ -66,7 +194,49 @@ class Event {
         this.indices = []; // Where it is placed in the schedule array
         this.placedLocation = ""; // The name of the room it was placed in
         this.metric = 0; // Performance metric (1=Best, 4=Worst)
+        this.prefRank = null; // Preference achieved: 'room', building rank (1 = first choice) or null
         this.dept = getDept(this.eventCode);
+
+        // Room features this event cannot do without (e.g. "Fume Hood")
+        this.requiredFeatures = parseSlashList(data.required_features);
+        this.missingFeatures = new Set(); // Features lacking in rooms that were rejected
+        this.featureRejections = 0;
+        this.note = ""; // Why the event ended up where it did, for the export ("; " separated)
+        this.featureNote = ""; // The part of the note written by Schedule.recordFeatureNotes
+        this.trace = []; // Per-phase placement attempts: { phase, target, outcome, detail }
+
+        // Instructors teaching this section (optional, "/" separated when co-taught)
+        this.instructors = parseSlashList(data.instructor);
+        this.instructorConflicts = []; // Descriptions filled in by Schedule.detectInstructorConflicts
+
+        // Grouping: cross-listed sections share a room and time; linked sections
+        // (e.g. lecture/lab) can be kept in the same building
+        this.crosslistCode = String(data.crosslist_cde || "").trim();
+        this.linkCode = String(data.link_cde || "").trim();
+        this.crossListed = []; // Riders placed together with this (primary) event
+        this.crosslistParent = null; // Primary event when this one is a rider
+        this.pinned = false; // Fixed by the user, placed before phase 1
+
+        // Incremental runs: 'kept', 'invalidated', 'new' or "" when no baseline is loaded
+        this.baselineStatus = "";
+        this.baselineReason = "";
+    }
+
+    // Seats needed by the whole cross-listed unit
+    getTotalSeats() {
+        return this.crossListed.reduce((sum, e) => sum + e.seats, this.seats);
+    }
+
+    // Union of required features across the cross-listed unit
+    getRequiredFeatures() {
+        if (this.crossListed.length === 0) return this.requiredFeatures;
+        const all = this.crossListed.reduce((arr, e) => arr.concat(e.requiredFeatures), [...this.requiredFeatures]);
+        return [...new Set(all)];
+    }
+
+    // This event followed by its cross-listed riders
+    getUnitMembers() {
+        return [this].concat(this.crossListed);
     }
 
     getHistoricalLocations() {
@@ -79,11 +249,41 @@ class Event {
         return true;
     }
 
+    // Append a reason to the note once (several passes may record the same one).
+    // Reasons may contain "; " themselves, so match whole reasons rather than splitting.
+    addNote(text) {
+        if (`; ${this.note}; `.includes(`; ${text}; `)) return;
+        this.note = this.note ? `${this.note}; ${text}` : text;
+    }
+
+    // Drop a reason added with addNote
+    removeNote(text) {
+        const rest = `; ${this.note}; `.replace(`; ${text}; `, "; ");
+        this.note = rest.slice(2, -2);
+    }
+
     // Reset state for a new schedule generation run
     reset() {
         this.indices = [];
         this.placedLocation = "";
         this.metric = 0;
+        this.prefRank = null;
+        this.missingFeatures = new Set();
+        this.featureRejections = 0;
+        this.note = "";
+        this.featureNote = "";
+        this.trace = [];
+        this.instructorConflicts = [];
+        this.crossListed = [];
+        this.crosslistParent = null;
+        this.pinned = false;
+        this.baselineStatus = "";
+        this.baselineReason = "";
+    }
+
+    recordMissingFeatures(missing) {
+        missing.forEach(f => this.missingFeatures.add(f));
+        this.featureRejections++;
     }
 }
 
@@ -94,18 +294,42 @@ class Location {
     constructor(data) {
         this.name = data.Location; // "BLDG ROOM"
         this.capacity = parseInt(data.Capacity || 0);
-        this.features = data.Features ? data.Features.split("/") : [];
+        this.features = parseSlashList(data.Features);
+        this.isVirtual = false; // Set for the "UN x" overflow rooms
+
+        // Optional time windows: "Available" limits the room to those windows,
+        // "Blackout" closes windows (e.g. "F; MWF 10:00-10:50" or "R 17:00-22:00")
+        this.availableText = data.Available || "";
+        this.blackoutText = data.Blackout || "";
+        this.availability = parseTimeWindows(this.availableText).windows;
+        this.blackouts = parseTimeWindows(this.blackoutText).windows;
 
         // "BLDG ROOM" -> "BLDG"
         this.building = this.name.split(" ")[0];
     }
+
+    // Is [startMin, endMin) on a day closed by the availability/blackout windows?
+    isBlocked(day, startMin, endMin) {
+        const covers = (w) => !w.days || w.days.includes(day);
+        if (this.availability.length > 0 &&
+            !this.availability.some(w => covers(w) && w.startMin <= startMin && w.endMin >= endMin)) return true;
+        return this.blackouts.some(w => covers(w) && w.startMin < endMin && w.endMin > startMin);
+    }
+
+    // Required features this room lacks (case-insensitive). Virtual rooms lack nothing.
+    getMissingFeatures(required) {
+        if (this.isVirtual || !required || required.length === 0) return [];
+        const have = this.features.map(f => f.toLowerCase());
+        return required.filter(f => !have.includes(f.toLowerCase()));
+    }
 }
 
 /**
  * Represents a Time Block.
+ * startDate/endDate are optional day numbers (see parseDateDay); null means open-ended.
  */
 class Time {
-    constructor(beginTime, endTime, days) {
+    constructor(beginTime, endTime, days, startDate = null, endDate = null) {
         this.beginTime = beginTime; // String "HH:MM"
         this.endTime = endTime;     // String "HH:MM"
         this.days = days.filter(d => d); // Remove partials/nulls
@@ -114,5 +338,26 @@ class Time {
         this.endMin = timeToMinutes(endTime);
 
         this.totalTime = `${beginTime} - ${endTime}`;
+
+        this.startDate = startDate;
+        this.endDate = endDate;
+    }
+
+    // Do the date ranges of two time blocks share at least one day?
+    datesOverlap(other) {
+        const startA = this.startDate === null ? -Infinity : this.startDate;
+        const endA = this.endDate === null ? Infinity : this.endDate;
+        const startB = other.startDate === null ? -Infinity : other.startDate;
+        const endB = other.endDate === null ? Infinity : other.endDate;
+        return startA <= endB && startB <= endA;
+    }
+
+    // "2026-01-12 to 2026-03-06", a single date, or "" for full-term
+    getDateRangeText() {
+        if (this.startDate === null && this.endDate === null) return "";
+        if (this.startDate === this.endDate) return dayToDateString(this.startDate);
+        const from = this.startDate === null ? "…" : dayToDateString(this.startDate);
+        const to = this.endDate === null ? "…" : dayToDateString(this.endDate);
+        return `${from} to ${to}`;
     }
 }
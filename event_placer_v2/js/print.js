@@ -0,0 +1,182 @@
+/**
+ * print.js
+ * Printable weekly grids: one day-by-time SVG per room, drawn from
+ * scheduleGrid, for posting on classroom doors. A building prints one room
+ * per page. "Print / PDF" goes through the browser print dialog; SVGs can
+ * be downloaded directly (zipped for a building).
+ */
+
+const PrintUI = {
+    select: document.getElementById('print-target'),
+    btnPrint: document.getElementById('btn-print-grid'),
+    btnSvg: document.getElementById('btn-export-svg')
+};
+
+const PRINT_DAY_NAMES = { 'Su': 'Sunday', 'M': 'Monday', 'T': 'Tuesday', 'W': 'Wednesday', 'R': 'Thursday', 'F': 'Friday', 'Sa': 'Saturday' };
+
+// Page geometry in SVG units (portrait letter proportions)
+const PRINT_WIDTH = 850;
+const PRINT_HEIGHT = 1100;
+const PRINT_MARGIN = 40;
+const PRINT_HEADER = 90;
+const PRINT_TIME_COL = 60;
+
+function setupPrint() {
+    PrintUI.btnPrint.addEventListener('click', printGrids);
+    PrintUI.btnSvg.addEventListener('click', exportGridSVGs);
+}
+
+// Fill the room/building picker after each run (virtual rooms are left out)
+function renderPrintOptions(schedule) {
+    const rooms = schedule.locations.filter(l => !l.isVirtual).map(l => l.name).sort();
+    const buildings = [...new Set(schedule.locations.filter(l => !l.isVirtual).map(l => l.building))].sort();
+    const current = PrintUI.select.value;
+
+    PrintUI.select.innerHTML = `
+        <optgroup label="Buildings (one room per page)">
+            ${buildings.map(b => `<option value="bldg:${escapeHtml(b)}">${escapeHtml(b)}</option>`).join('')}
+        </optgroup>
+        <optgroup label="Rooms">
+            ${rooms.map(r => `<option value="room:${escapeHtml(r)}">${escapeHtml(r)}</option>`).join('')}
+        </optgroup>
+    `;
+    if ([...PrintUI.select.options].some(o => o.value === current)) PrintUI.select.value = current;
+    PrintUI.btnPrint.disabled = false;
+    PrintUI.btnSvg.disabled = false;
+}
+
+// Rooms selected in the picker
+function getPrintRooms(schedule) {
+    const [kind, name] = PrintUI.select.value.split(/:(.*)/);
+    return schedule.locations.filter(l => !l.isVirtual && (kind === 'bldg' ? l.building === name : l.name === name));
+}
+
+// Cut text to roughly fit a width (average glyph ~0.55em)
+function fitText(text, width, fontSize) {
+    const max = Math.floor(width / (fontSize * 0.55));
+    return text.length <= max ? text : text.slice(0, Math.max(0, max - 1)) + '…';
+}
+
+/**
+ * Weekly grid for one room as an SVG string: days across, time down.
+ * Events with disjoint date ranges that share a slot are drawn side by side.
+ */
+function renderRoomGridSVG(schedule, location) {
+    const grid = schedule.scheduleGrid[location.name];
+    const days = schedule.shortDays;
+    const left = PRINT_MARGIN + PRINT_TIME_COL;
+    const top = PRINT_MARGIN + PRINT_HEADER;
+    const colWidth = (PRINT_WIDTH - left - PRINT_MARGIN) / days.length;
+    const slotHeight = (PRINT_HEIGHT - top - PRINT_MARGIN) / schedule.dayIntervals;
+    const parts = [];
+
+    parts.push(`<rect x="0" y="0" width="${PRINT_WIDTH}" height="${PRINT_HEIGHT}" fill="#fff"/>`);
+    parts.push(`<text x="${PRINT_MARGIN}" y="${PRINT_MARGIN + 30}" font-size="28" font-weight="bold">${escapeHtml(location.name)}</text>`);
+    const subtitle = [`${location.capacity} seats`].concat(location.features.length > 0 ? [location.features.join(", ")] : []).join(" · ");
+    parts.push(`<text x="${PRINT_MARGIN}" y="${PRINT_MARGIN + 58}" font-size="14" fill="#555">${escapeHtml(subtitle)}</text>`);
+
+    // Day headers and columns
+    days.forEach((d, i) => {
+        const x = left + i * colWidth;
+        parts.push(`<text x="${x + colWidth / 2}" y="${top - 10}" font-size="14" font-weight="bold" text-anchor="middle">${PRINT_DAY_NAMES[d] || d}</text>`);
+        parts.push(`<line x1="${x}" y1="${top}" x2="${x}" y2="${PRINT_HEIGHT - PRINT_MARGIN}" stroke="#999"/>`);
+    });
+    parts.push(`<line x1="${PRINT_WIDTH - PRINT_MARGIN}" y1="${top}" x2="${PRINT_WIDTH - PRINT_MARGIN}" y2="${PRINT_HEIGHT - PRINT_MARGIN}" stroke="#999"/>`);
+
+    // Hour lines and labels
+    for (let min = Math.ceil(schedule.schStartMin / 60) * 60; min <= schedule.schEndMin; min += 60) {
+        const y = top + ((min - schedule.schStartMin) / schedule.interval) * slotHeight;
+        parts.push(`<line x1="${left}" y1="${y}" x2="${PRINT_WIDTH - PRINT_MARGIN}" y2="${y}" stroke="#ddd"/>`);
+        parts.push(`<text x="${left - 6}" y="${y + 4}" font-size="11" text-anchor="end" fill="#555">${minutesToTime(min)}</text>`);
+    }
+
+    // Closed time, one block per run of BLOCKED slots within a day
+    parts.push(`<defs><pattern id="closed" width="8" height="8" patternUnits="userSpaceOnUse" patternTransform="rotate(45)"><line x1="0" y1="0" x2="0" y2="8" stroke="#bbb" stroke-width="3"/></pattern></defs>`);
+    days.forEach((_, d) => {
+        for (let s = 0; s < schedule.dayIntervals; s++) {
+            if (grid[d * schedule.dayIntervals + s] !== BLOCKED) continue;
+            let end = s;
+            while (end + 1 < schedule.dayIntervals && grid[d * schedule.dayIntervals + end + 1] === BLOCKED) end++;
+            parts.push(`<rect x="${left + d * colWidth}" y="${top + s * slotHeight}" width="${colWidth}" height="${(end - s + 1) * slotHeight}" fill="url(#closed)"/>`);
+            s = end;
+        }
+    });
+
+    // Occupants, split into lanes where date-disjoint events share slots
+    const occupants = new Set();
+    grid.forEach(cell => schedule.cellEvents(cell).forEach(e => occupants.add(e)));
+    occupants.forEach(event => {
+        const members = event.getUnitMembers();
+        event.indices.forEach(([start, end]) => {
+            const d = Math.floor(start / schedule.dayIntervals);
+            const lanes = Math.max(...grid.slice(start, end).map(cell => schedule.cellEvents(cell).length));
+            const lane = Math.max(0, schedule.cellEvents(grid[start]).indexOf(event));
+            const w = colWidth / lanes;
+            const x = left + d * colWidth + lane * w;
+            const y = top + (start - d * schedule.dayIntervals) * slotHeight;
+            const h = (end - start) * slotHeight;
+
+            parts.push(`<rect x="${x + 2}" y="${y + 1}" width="${w - 4}" height="${h - 2}" rx="4" fill="#e8f0fb" stroke="#6a9ede"/>`);
+            const lines = [
+                { text: members.map(m => m.eventCode).join(" / "), size: 12, weight: 'bold' },
+                { text: members.map(m => m.name).join(" / "), size: 11 },
+                { text: event.timeObj.totalTime, size: 10 },
+                { text: `${event.getTotalSeats()} enrolled`, size: 10 },
+                { text: event.timeObj.getDateRangeText(), size: 10 }
+            ].filter(l => l.text);
+            let ty = y + 14;
+            lines.forEach(l => {
+                if (ty > y + h - 3) return;
+                parts.push(`<text x="${x + 6}" y="${ty}" font-size="${l.size}"${l.weight ? ` font-weight="${l.weight}"` : ''}>${escapeHtml(fitText(l.text, w - 12, l.size))}</text>`);
+                ty += l.size + 3;
+            });
+        });
+    });
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${PRINT_WIDTH} ${PRINT_HEIGHT}" width="${PRINT_WIDTH}" height="${PRINT_HEIGHT}" font-family="Helvetica, Arial, sans-serif">${parts.join("")}</svg>`;
+}
+
+// Open the grids in a print window, one room per page
+function printGrids() {
+    const schedule = AppState.schedule;
+    if (!schedule) return;
+    const rooms = getPrintRooms(schedule);
+    const win = window.open("", "_blank");
+    if (!win) {
+        alert("Allow pop-ups to print the grids.");
+        return;
+    }
+    win.document.write(`<!DOCTYPE html>
+<html><head><title>${escapeHtml(PrintUI.select.value.split(/:(.*)/)[1])}</title>
+<style>
+    @page { size: letter portrait; margin: 0.4in; }
+    body { margin: 0; }
+    .page { page-break-after: always; break-after: page; }
+    .page:last-child { page-break-after: auto; break-after: auto; }
+    .page svg { width: 100%; height: auto; }
+</style></head>
+<body>${rooms.map(l => `<div class="page">${renderRoomGridSVG(schedule, l)}</div>`).join("")}</body></html>`);
+    win.document.close();
+    win.focus();
+    win.print();
+}
+
+async function exportGridSVGs() {
+    const schedule = AppState.schedule;
+    if (!schedule) return;
+    const rooms = getPrintRooms(schedule);
+    const fileName = (l) => `${l.name.replace(/[^A-Za-z0-9_-]+/g, "_")}.svg`;
+
+    if (rooms.length === 1) {
+        downloadBlob(new Blob([renderRoomGridSVG(schedule, rooms[0])], { type: 'image/svg+xml' }), fileName(rooms[0]));
+        return;
+    }
+    const zip = new JSZip();
+    rooms.forEach(l => zip.file(fileName(l), renderRoomGridSVG(schedule, l)));
+    try {
+        downloadBlob(await zip.generateAsync({ type: 'blob' }), `grids_${PrintUI.select.value.split(/:(.*)/)[1]}.zip`);
+    } catch (err) {
+        console.error(err);
+        alert("Could not build the room grid zip file");
+    }
+}
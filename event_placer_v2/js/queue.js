@@ -0,0 +1,99 @@
+/**
+ * queue.js
+ * Work queue of unresolved events: units that ended up in a virtual "UN x"
+ * room or could not be placed at all (not even in a virtual room). Each one
+ * lists its requirements and the real rooms it came closest to fitting,
+ * with actions to force it into one of them now or to pin it there.
+ */
+
+const QueueUI = {
+    card: document.getElementById('queue-card'),
+    status: document.getElementById('queue-status'),
+    table: document.getElementById('queue-table')
+};
+
+// Near-miss rooms listed per event
+const QUEUE_NEAR_MISSES = 3;
+
+// One near-miss problem in words, e.g. "too small by 3 seats" or "blocked by CS 101 01"
+function describeNearMiss(problem) {
+    if (problem.reason === 'capacity') return `too small by ${problem.seats - problem.capacity} seats`;
+    if (problem.reason === 'overlap') {
+        const codes = problem.blockers.map(e => e.eventCode);
+        return codes.length === 1 ? `blocked by ${codes[0]}` : `blocked by ${codes.length} events (${codes.join(", ")})`;
+    }
+    return describePlacementFailure(problem);
+}
+
+function renderQueue(schedule) {
+    const unresolved = schedule.getUnresolvedEvents()
+        .sort((a, b) => String(a.eventCode).localeCompare(String(b.eventCode)));
+    QueueUI.card.hidden = unresolved.length === 0;
+    QueueUI.status.textContent = `${unresolved.length} unresolved`;
+
+    QueueUI.table.innerHTML = `
+        <thead>
+            <tr><th>Event</th><th>Needs</th><th>Now In</th><th>Nearest Rooms</th></tr>
+        </thead>
+        <tbody>
+            ${unresolved.map(e => {
+                const members = e.getUnitMembers();
+                const lastMiss = e.trace.filter(t => t.outcome === 'rejected' && t.phase !== 'virtual').pop();
+                const needs = [`${e.getTotalSeats()} seats`]
+                    .concat(e.getRequiredFeatures().length > 0 ? [e.getRequiredFeatures().join("/")] : [])
+                    .concat(e.instructors.length > 0 ? [e.instructors.join("/")] : []);
+                const misses = schedule.findNearMisses(e, QUEUE_NEAR_MISSES);
+                return `
+                <tr>
+                    <td>
+                        <a href="#" data-inspect="${e.id}">${escapeHtml(members.map(m => m.eventCode).join(" / "))}</a>
+                        <div class="muted">${escapeHtml(members.map(m => m.name).join(" / "))}</div>
+                        <div class="muted">${e.timeObj.days.join("")} ${escapeHtml(e.timeObj.totalTime)}</div>
+                    </td>
+                    <td>${needs.map(escapeHtml).join("<br>")}</td>
+                    <td>
+                        ${escapeHtml(e.placedLocation || 'Unplaced')}
+                        ${lastMiss ? `<div class="muted">${escapeHtml(lastMiss.target)}: ${escapeHtml(lastMiss.detail)}</div>` : ''}
+                    </td>
+                    <td>
+                        ${misses.length === 0 ? '<span class="muted">No slots in the scheduled days/hours</span>' : `
+                        <ul class="near-miss-list">
+                            ${misses.map(m => `
+                                <li>
+                                    <span><b>${escapeHtml(m.location.name)}</b> (${m.location.capacity})
+                                        <span class="muted">${m.problems.length === 0 ? 'fits now' : escapeHtml(m.problems.map(describeNearMiss).join("; "))}</span></span>
+                                    <span class="near-miss-actions">
+                                        <button class="btn btn-outline btn-small" data-event="${e.id}" data-loc="${escapeHtml(m.location.name)}">Force</button>
+                                        <button class="btn btn-outline btn-small" data-event="${e.id}" data-loc="${escapeHtml(m.location.name)}" data-pin="1">Pin</button>
+                                    </span>
+                                </li>`).join('')}
+                        </ul>`}
+                    </td>
+                </tr>`;
+            }).join('')}
+        </tbody>
+    `;
+
+    QueueUI.table.querySelectorAll('a[data-inspect]').forEach(a => {
+        a.onclick = (ev) => {
+            ev.preventDefault();
+            openInspector(parseInt(a.dataset.inspect));
+        };
+    });
+    QueueUI.table.querySelectorAll('button[data-loc]').forEach(btn => {
+        btn.onclick = () => resolveQueuedEvent(parseInt(btn.dataset.event), btn.dataset.loc, !!btn.dataset.pin);
+    });
+}
+
+// Force the unit into a room regardless of its problems; pinning also keeps it there on regeneration
+function resolveQueuedEvent(eventId, locName, pin) {
+    const schedule = AppState.schedule;
+    const event = schedule.events.find(e => e.id === eventId);
+    const loc = schedule.locations.find(l => l.name === locName);
+    if (!event || !loc || !schedule.moveEvent(event, loc, true)) {
+        alert(`Cannot force into ${locName}: the room is closed at that time.`);
+        return;
+    }
+    if (pin) setPin(event, locName);
+    showSchedule(schedule);
+}
@@ -34,6 +34,109 @@ class Random {
     }
 }
 
+/**
+ * Normalize a preferences JSON into
+ *   { departments: { Dept: rule }, courses: { EventCode: rule } }
+ * where rule = { buildings: [ranked bldg codes], rooms: [preferred rooms],
+ *                forbidden: [room names or bldg codes], weight }.
+ * The original { Dept: [Bldg, ...] } format loads as ranked buildings.
+ * A course rule replaces its department's rule.
+ */
+function normalizePreferences(prefObj) {
+    const toRule = (value) => {
+        if (Array.isArray(value)) value = { buildings: value };
+        value = value || {};
+        const weight = parseFloat(value.weight);
+        return {
+            buildings: (value.buildings || []).map(String),
+            rooms: (value.rooms || []).map(String),
+            forbidden: (value.forbidden || []).map(String),
+            weight: Number.isFinite(weight) && weight > 0 ? weight : 1
+        };
+    };
+    const mapRules = (obj) => Object.entries(obj || {}).reduce((acc, [key, value]) => (acc[key] = toRule(value), acc), {});
+
+    prefObj = prefObj || {};
+    const structured = ['departments', 'courses'].some(k => prefObj[k] && !Array.isArray(prefObj[k]));
+    return structured
+        ? { departments: mapRules(prefObj.departments), courses: mapRules(prefObj.courses) }
+        : { departments: mapRules(prefObj), courses: {} };
+}
+
+/**
+ * Normalize gap rules into
+ *   { buildingGaps: { Bldg: min }, featureGaps: { feature: min }, travel: { From: { To: min } } }
+ * from JSON ({ "buildingGaps": {...}, "featureGaps": {"Fume Hood": 30}, "travel": {"SCI": {"ART": 15}} })
+ * or the rows of a travel-matrix CSV whose first column names the origin building:
+ *   from,SCI,ART
+ *   SCI,0,15
+ */
+function normalizeGapRules(data) {
+    const minutes = (obj) => Object.entries(obj || {}).reduce((acc, [key, value]) => {
+        const min = parseInt(value);
+        if (!isNaN(min)) acc[String(key).trim()] = min;
+        return acc;
+    }, {});
+
+    const rules = { buildingGaps: {}, featureGaps: {}, travel: {} };
+    if (Array.isArray(data)) {
+        data.forEach(row => {
+            const [fromCol, ...toCols] = Object.keys(row);
+            const from = String(row[fromCol] || "").trim();
+            if (from) rules.travel[from] = minutes(toCols.reduce((acc, col) => (acc[col] = row[col], acc), {}));
+        });
+    } else if (data) {
+        rules.buildingGaps = minutes(data.buildingGaps);
+        Object.entries(minutes(data.featureGaps)).forEach(([f, min]) => { rules.featureGaps[f.toLowerCase()] = min; });
+        Object.entries(data.travel || {}).forEach(([from, row]) => { rules.travel[from] = minutes(row); });
+    }
+    return rules;
+}
+
+// Handle "BLDG 00" vs "BLDG 0" inconsistencies (spreadsheets drop or add zeros)
+function normalizeLocationName(name) {
+    const parts = name.split(" ");
+    if (parts[1] === "00" || parts[1] === "000") return parts[0] + " 0";
+    return name;
+}
+
+// Grid cell sentinel for time a room is closed (availability/blackout windows)
+const BLOCKED = -1;
+
+// Metric classes 1..4 as labelled in the UI and colored in the chart
+const METRIC_LABELS = ['', 'Desired', 'Same Building', 'Preference Building', 'Unpreferred/Other'];
+const METRIC_COLORS = ['', '#2ecc71', '#3498db', '#f1c40f', '#e74c3c'];
+
+// Colors for department/building coloring, assigned in sorted order of every
+// department/building in the schedule (so filtering does not change them)
+const CATEGORY_COLORS = ['#1abc9c', '#9b59b6', '#e67e22', '#3498db', '#e84393', '#f1c40f', '#2ecc71', '#e74c3c', '#00cec9', '#a29bfe', '#fd79a8', '#81ecec'];
+
+// Scenario comparison: changed events stand out, unchanged ones fade back
+const DIFF_COLORS = {
+    'Moved': '#e67e22', 'New': '#2ecc71', 'Scheduled': '#3498db', 'Unscheduled': '#e74c3c',
+    'Unchanged': 'rgba(150, 150, 150, 0.35)'
+};
+// compareSnapshots move status -> legend entry
+const DIFF_KEYS = { moved: 'Moved', new: 'New', scheduled: 'Scheduled', unscheduled: 'Unscheduled' };
+
+// Human-readable text for a Schedule.checkPlacement failure
+function describePlacementFailure(failure) {
+    if (!failure) return "";
+    switch (failure.reason) {
+        case 'capacity': return `needs ${failure.seats} seats, room holds ${failure.capacity}`;
+        case 'features': return `room lacks ${failure.missing.join("/")}`;
+        case 'instructor': return `${failure.conflict.instructor} ${failure.conflict.type === 'overlap' ? 'is teaching' : 'cannot reach'} ${failure.conflict.other.eventCode}`;
+        case 'link': return `linked sections are in ${failure.buildings.join("/")}`;
+        case 'gap': return `too close to ${failure.other.eventCode}`;
+        case 'overlap': return `overlaps ${failure.other.eventCode}`;
+        case 'missing': return `room ${failure.location} no longer exists`;
+        case 'hours': return 'outside the scheduled days/hours';
+        case 'forbidden': return 'room is excluded by preferences';
+        case 'blocked': return 'room is closed at that time';
+        default: return failure.reason;
+    }
+}
+
 class Schedule {
     constructor(locations, startTimeStr, endTimeStr, activeDays, interval, timeGapStr) {
         this.locations = locations; // Array of Location objects
@@ -65,23 +168,207 @@ class Schedule {
         });
 
         // The Schedule Grid: { "LocationName": [val, val, val...] }
-        // 0 = empty, EventObj = occupied
+        // 0 = empty, EventObj = occupied, BLOCKED = room closed
         this.scheduleGrid = {};
         this.locations.forEach(loc => {
             this.scheduleGrid[loc.name] = new Array(this.weekIntervals).fill(0);
+            this.blockClosedSlots(loc);
         });
 
-        this.locationPreferences = {}; // {Dept: [Bldg, Bldg]}
+        this.locationPreferences = { departments: {}, courses: {} }; // See normalizePreferences
+        this.rankCounts = {}; // {"Room"|"1"|"2"...: placements} achieved preference ranks
         this.metrics = [0, 0, 0, 0]; // [Desired, SameBldg, PrefBldg, Wrong/Other]
 
+        // Instructor rules: 'off', 'flag' (report only) or 'strict' (refuse placements)
+        this.instructorMode = 'off';
+        this.travelGap = 10; // Minutes needed between back-to-back sections in different buildings
+        this.gapRules = normalizeGapRules(null); // Per-building/feature turnover gaps and travel times
+        this.maxFeatureGap = 0;
+        this.instructorEvents = {}; // {Instructor: Set(placed events)}
+        this.instructorConflicts = []; // [{instructor, a, b, type, gapMin}]
+
+        // User pins: {EventCode: LocationName}, placed with force before phase 1
+        this.pins = {};
+
+        // Previous export used as a baseline: {EventCode: LocationName}
+        this.baseline = null;
+
+        // Linked sections (same link_cde) must share a building when enabled
+        this.linkSameBuilding = false;
+        this.linkGroups = {}; // {LinkCode: [events]}
+
+        // Best fit: phases 2 and 3 try the smallest adequate room first. Rooms
+        // wasting no more than fitSlack seats count as equally good.
+        this.bestFit = false;
+        this.fitSlack = 0;
+        this.avgWastedSeats = 0; // Mean empty seats per placed event in a real room
+        this.optimizeStats = null; // Last optimize() result, shown next to the seed
+
+        // Optimization scoring: weight per metric class, minus a penalty for virtual rooms
+        this.metricWeights = [1.0, 0.6, 0.3, 0];
+        this.virtualPenalty = 1.0;
+
         this.unscheduledCount = 0;
         this.arrangedCount = 0;
         this.arrangedLocations = [];
     }
 
-    // Set Preferences from JSON
+    // Set Preferences from JSON (either format, see normalizePreferences)
     setLocationPreferences(prefObj) {
-        this.locationPreferences = prefObj || {};
+        this.locationPreferences = normalizePreferences(prefObj);
+    }
+
+    // Preference rule of a unit: a course override (any member's code) or its department's rule
+    getPreferenceRule(event) {
+        const { courses, departments } = this.locationPreferences;
+        for (let member of event.getUnitMembers()) {
+            if (courses[member.eventCode]) return courses[member.eventCode];
+        }
+        return departments[event.dept] || null;
+    }
+
+    // 'room' for a preferred room, the 1-based rank of a preferred building, or null
+    getPreferenceRank(event, locName) {
+        const rule = this.getPreferenceRule(event);
+        if (!rule) return null;
+        if (rule.rooms.includes(locName)) return 'room';
+        const rank = rule.buildings.indexOf(locName.split(" ")[0]);
+        return rank >= 0 ? rank + 1 : null;
+    }
+
+    isForbidden(event, location) {
+        const rule = this.getPreferenceRule(event);
+        return !!rule && (rule.forbidden.includes(location.name) || rule.forbidden.includes(location.building));
+    }
+
+    setInstructorRules(mode, travelGap) {
+        this.instructorMode = mode || 'off';
+        this.travelGap = parseInt(travelGap) || 0;
+    }
+
+    setGapRules(data) {
+        this.gapRules = normalizeGapRules(data);
+        this.maxFeatureGap = Math.max(0, ...Object.values(this.gapRules.featureGaps));
+    }
+
+    // Minutes needed between two events in the same room: the largest of the global,
+    // building and feature gaps (e.g. labs need longer turnover)
+    getTurnoverGap(location, a, b = null) {
+        const featureGap = (e) => e ? Math.max(0, ...e.getRequiredFeatures().map(f => this.gapRules.featureGaps[f.toLowerCase()] || 0)) : 0;
+        return Math.max(this.timeGap,
+            (location && this.gapRules.buildingGaps[location.building]) || 0,
+            featureGap(a), featureGap(b));
+    }
+
+    // Minutes to walk between buildings: the travel matrix (either direction), else travelGap
+    getTravelTime(from, to) {
+        if (from === to) return 0;
+        const { travel } = this.gapRules;
+        if (travel[from] && travel[from].hasOwnProperty(to)) return travel[from][to];
+        if (travel[to] && travel[to].hasOwnProperty(from)) return travel[to][from];
+        return this.travelGap;
+    }
+
+    setPins(pins) {
+        this.pins = pins || {};
+    }
+
+    // Pinned location of a unit (any member's code may carry the pin), or null
+    getPinnedLocation(event) {
+        for (let member of event.getUnitMembers()) {
+            if (this.pins[member.eventCode]) return this.pins[member.eventCode];
+        }
+        return null;
+    }
+
+    // Rows of a previously exported classroom_schedule.csv (Code, Location, ...)
+    setBaseline(rows) {
+        if (!rows || rows.length === 0) {
+            this.baseline = null;
+            return;
+        }
+        this.baseline = {};
+        rows.forEach(r => {
+            if (r.Code) this.baseline[String(r.Code).trim()] = String(r.Location || "").trim();
+        });
+    }
+
+    // Baseline location of a unit (primary first, then riders), or undefined
+    getBaselineLocation(event) {
+        for (let member of event.getUnitMembers()) {
+            if (this.baseline.hasOwnProperty(member.eventCode)) return this.baseline[member.eventCode];
+        }
+        return undefined;
+    }
+
+    setLinkRules(sameBuilding) {
+        this.linkSameBuilding = !!sameBuilding;
+    }
+
+    setFitRules(bestFit, slack) {
+        this.bestFit = !!bestFit;
+        this.fitSlack = Math.max(0, parseInt(slack) || 0);
+    }
+
+    // Rooms ordered smallest adequate first (stable, so ties keep their order); too-small rooms last
+    orderByFit(event, locs) {
+        if (!this.bestFit) return locs;
+        const seats = event.getTotalSeats();
+        const waste = (l) => l.capacity < seats ? Infinity : Math.max(0, l.capacity - seats - this.fitSlack);
+        return locs.map((l, i) => ({ l, i, w: waste(l) }))
+            .sort((a, b) => a.w - b.w || a.i - b.i)
+            .map(x => x.l);
+    }
+
+    /**
+     * Collapse cross-listed events into units and index linked sections.
+     * The member with the largest enrollment becomes the primary (lowest id on
+     * ties, so the worker and applyPlacements agree); the others ride along in
+     * its room. Members meeting at a different time are left separate with a
+     * note. Returns the events to place (primaries + singles).
+     */
+    prepareGroups(events) {
+        this.linkGroups = {};
+        const crosslists = {};
+        events.forEach(e => {
+            if (e.crosslistCode) (crosslists[e.crosslistCode] = crosslists[e.crosslistCode] || []).push(e);
+            if (e.linkCode) (this.linkGroups[e.linkCode] = this.linkGroups[e.linkCode] || []).push(e);
+        });
+
+        Object.entries(crosslists).forEach(([code, members]) => {
+            if (members.length < 2) return;
+            // Runs see the events shuffled; sort so the unit does not depend on that order
+            members.sort((a, b) => a.id - b.id);
+            const primary = members.reduce((best, e) => e.seats > best.seats ? e : best, members[0]);
+            const pattern = (e) => `${e.timeObj.days.join("")} ${e.timeObj.startMin}-${e.timeObj.endMin}`;
+
+            members.forEach(e => {
+                if (e === primary) return;
+                if (pattern(e) !== pattern(primary)) {
+                    e.note = `Cross-list ${code} meets at a different time than ${primary.eventCode}; placed separately`;
+                    return;
+                }
+                e.crosslistParent = primary;
+                primary.crossListed.push(e);
+            });
+        });
+
+        return events.filter(e => !e.crosslistParent);
+    }
+
+    // Buildings already used by placed sections linked to this unit
+    getLinkedBuildings(event) {
+        const buildings = new Set();
+        event.getUnitMembers().forEach(member => {
+            if (!member.linkCode) return;
+            this.linkGroups[member.linkCode].forEach(other => {
+                const root = other.crosslistParent || other;
+                if (root === event || !other.placedLocation) return;
+                const loc = this.locations.find(l => l.name === other.placedLocation);
+                if (loc && !loc.isVirtual) buildings.add(loc.building);
+            });
+        });
+        return buildings;
     }
 
     // Helper: Convert Event Time -> Array of [StartIdx, EndIdx] ranges
@@ -113,74 +400,536 @@ class Schedule {
         return result;
     }
 
-    checkTimeGap(locationArr, start, end) {
-        if (this.timeGap === 0) return false;
+    // Mark the slots a room's availability/blackout windows close as BLOCKED
+    blockClosedSlots(location) {
+        const grid = this.scheduleGrid[location.name];
+        if (location.availability.length === 0 && location.blackouts.length === 0) return;
+        this.shortDays.forEach(day => {
+            for (let s = 0; s < this.dayIntervals; s++) {
+                const start = this.schStartMin + s * this.interval;
+                if (location.isBlocked(day, start, start + this.interval)) grid[this.dayOffsets[day] + s] = BLOCKED;
+            }
+        });
+    }
+
+    /**
+     * Grid cells are 0 (free), BLOCKED, an Event, or an array of Events when
+     * events with non-overlapping date ranges share the slot.
+     */
+    cellEvents(cell) {
+        if (cell === 0 || cell === BLOCKED) return [];
+        return Array.isArray(cell) ? cell : [cell];
+    }
+
+    // First occupant of a cell whose dates overlap the event's (the event itself excluded)
+    cellConflict(cell, event) {
+        if (cell === 0 || cell === BLOCKED || cell === event) return null;
+        return this.cellEvents(cell).find(o => o !== event && (!event || o.timeObj.datesOverlap(event.timeObj))) || null;
+    }
 
-        const gapSlots = Math.ceil(this.timeGap / this.interval);
+    addToCell(grid, k, event) {
+        const cell = grid[k];
+        if (cell === 0 || cell === event) grid[k] = event;
+        else if (Array.isArray(cell)) { if (!cell.includes(event)) cell.push(event); }
+        else grid[k] = [cell, event];
+    }
+
+    removeFromCell(grid, k, event) {
+        const cell = grid[k];
+        if (cell === event) grid[k] = 0;
+        else if (Array.isArray(cell)) {
+            const rest = cell.filter(o => o !== event);
+            grid[k] = rest.length === 0 ? 0 : rest.length === 1 ? rest[0] : rest;
+        }
+    }
+
+    // Returns the event occupying the turnover gap before/after [start, end), or null.
+    // Only occupants whose dates overlap `self` (the event being checked) count.
+    // The gap depends on the room's building and both events' features (getTurnoverGap).
+    checkTimeGap(locationArr, start, end, self = null, location = null) {
+        const scanGap = Math.max(this.getTurnoverGap(location, self), this.maxFeatureGap);
+        if (scanGap === 0) return null;
+
+        const scanSlots = Math.ceil(scanGap / this.interval);
+        const occupant = (k) => (k >= 0 && k < locationArr.length) ? this.cellConflict(locationArr[k], self) : null;
+        const slotsFor = (other) => Math.ceil(this.getTurnoverGap(location, self, other) / this.interval);
 
         // check before
-        for (let i = 1; i <= gapSlots; i++) {
-            if (start - i >= 0 && locationArr[start - i] !== 0) return true; // Collision
+        for (let i = 1; i <= scanSlots; i++) {
+            const other = occupant(start - i);
+            if (other && i <= slotsFor(other)) return other; // Collision
         }
         // check after
-        for (let i = 0; i < gapSlots; i++) {
-            if (end + i < locationArr.length && locationArr[end + i] !== 0) return true;
+        for (let i = 0; i < scanSlots; i++) {
+            const other = occupant(end + i);
+            if (other && i < slotsFor(other)) return other;
+        }
+        return null;
+    }
+
+    /**
+     * Would the event fit in the location? Side-effect free, so it can be used
+     * to list alternatives for an event that is already placed elsewhere.
+     * Returns null when it fits, otherwise the first failed constraint:
+     *   { reason: 'capacity', seats, capacity }
+     *   { reason: 'forbidden' }
+     *   { reason: 'features', missing }
+     *   { reason: 'instructor', conflict }
+     *   { reason: 'link', buildings }
+     *   { reason: 'blocked' }
+     *   { reason: 'gap' | 'overlap', other }
+     */
+    checkPlacement(event, location, ranges) {
+        const grid = this.scheduleGrid[location.name];
+
+        // Capacity Check (cross-listed units need their combined enrollment)
+        const seats = event.getTotalSeats();
+        if (seats > location.capacity) return { reason: 'capacity', seats, capacity: location.capacity };
+
+        // Preferences Check: rooms or buildings the department/course excludes
+        if (!location.isVirtual && this.isForbidden(event, location)) return { reason: 'forbidden' };
+
+        // Feature Check (e.g. a lab section needs a Fume Hood)
+        const missing = location.getMissingFeatures(event.getRequiredFeatures());
+        if (missing.length > 0) return { reason: 'features', missing };
+
+        // Instructor Check (strict mode): no double booking or impossible travel
+        if (this.instructorMode === 'strict' && !location.isVirtual) {
+            const conflict = this.findInstructorConflict(event, location.building);
+            if (conflict) return { reason: 'instructor', conflict };
+        }
+
+        // Linked Sections Check: stay in the building of already placed partners
+        if (this.linkSameBuilding && !location.isVirtual) {
+            const linked = this.getLinkedBuildings(event);
+            if (linked.size > 0 && !linked.has(location.building)) return { reason: 'link', buildings: [...linked] };
+        }
+
+        // Collision & Gap Check
+        for (let [start, end] of ranges) {
+            // Gap Check
+            const neighbour = start !== 0 ? this.checkTimeGap(grid, start, end, event, location) : null;
+            if (neighbour) return { reason: 'gap', other: neighbour };
+
+            // Closed Check (availability/blackout windows)
+            for (let k = start; k < end; k++) {
+                if (grid[k] === BLOCKED) return { reason: 'blocked' };
+            }
+
+            // Overlap Check (date-aware: a first-half and a second-half course can share)
+            for (let k = start; k < end; k++) {
+                const other = this.cellConflict(grid[k], event);
+                if (other) return { reason: 'overlap', other };
+            }
         }
-        return false;
+        return null;
     }
 
+    // Failed placements leave their checkPlacement failure in this.lastFailure
     placeEvent(event, location, force = false) {
         // Bounds check handled in getIndices mostly, but check total range
         if (event.timeObj.startMin < this.schStartMin || event.timeObj.endMin > this.schEndMin) {
+            this.lastFailure = { reason: 'hours' };
             return false;
         }
 
         const ranges = this.getIndicesForEvent(event.timeObj);
         event.updateIndices(ranges);
 
-        if (ranges.length === 0) return false; // Event not within schedule days/times
+        if (ranges.length === 0) { // Event not within schedule days/times
+            this.lastFailure = { reason: 'hours' };
+            return false;
+        }
 
         const locName = location.name;
         const grid = this.scheduleGrid[locName];
 
+        // Not even pins or forced placements may use closed time
+        if (force && ranges.some(([start, end]) => grid.slice(start, end).includes(BLOCKED))) {
+            this.lastFailure = { reason: 'blocked' };
+            return false;
+        }
+
         if (!force) {
-            // Capacity Check
-            if (event.seats > location.capacity) {
+            const failure = this.checkPlacement(event, location, ranges);
+            if (failure) {
+                this.lastFailure = failure;
+                if (failure.reason === 'features') event.recordMissingFeatures(failure.missing);
                 event.indices = [];
                 return false;
             }
-
-            // Collision & Gap Check
-            for (let [start, end] of ranges) {
-                // Gap Check
-                if (start !== 0 && this.checkTimeGap(grid, start, end)) {
-                    event.indices = [];
-                    return false;
-                }
-
-                // Overlap Check
-                for (let k = start; k < end; k++) {
-                    if (grid[k] !== 0) {
-                        event.indices = [];
-                        return false;
-                    }
-                }
-            }
         }
 
         // Place it
         for (let [start, end] of ranges) {
             for (let k = start; k < end; k++) {
-                grid[k] = event;
+                this.addToCell(grid, k, event);
             }
         }
-        event.placedLocation = locName;
+        // Riders share the primary's room, time and grid cells
+        event.getUnitMembers().forEach(member => {
+            member.placedLocation = locName;
+            member.indices = ranges;
+            member.instructors.forEach(name => {
+                (this.instructorEvents[name] = this.instructorEvents[name] || new Set()).add(member);
+            });
+        });
         return true;
     }
 
+    /**
+     * Try rooms in order and record trace entries for the attempt: one for
+     * `target` (a room or building), or one per building when target is null.
+     * Rejections are summarized per reason with the first room as the example, e.g.
+     *   "SCI 101: needs 40 seats, room holds 30 (+3 more); SCI 104: overlaps CS 101 01"
+     * Returns the room the event was placed in, or null.
+     */
+    tryRooms(event, locs, phase, target = null) {
+        const rejections = new Map(); // target -> { reason: { count, example } }, in tried order
+        const summary = (reasons) => Object.values(reasons || {})
+            .map(r => r.count > 1 ? `${r.example} (+${r.count - 1} more)` : r.example)
+            .join("; ");
+
+        let placedLoc = null;
+        for (let loc of locs) {
+            if (this.placeEvent(event, loc)) {
+                placedLoc = loc;
+                break;
+            }
+            const key = target || loc.building;
+            if (!rejections.has(key)) rejections.set(key, {});
+            const reasons = rejections.get(key);
+            const failure = this.lastFailure;
+            if (!reasons[failure.reason]) reasons[failure.reason] = { count: 0, example: `${loc.name}: ${describePlacementFailure(failure)}` };
+            reasons[failure.reason].count++;
+        }
+
+        const placedKey = placedLoc && (target || placedLoc.building);
+        rejections.forEach((reasons, key) => {
+            if (key !== placedKey) event.trace.push({ phase, target: key, outcome: 'rejected', detail: summary(reasons) });
+        });
+        if (placedLoc) {
+            const rejected = summary(rejections.get(placedKey));
+            event.trace.push({ phase, target: placedKey, outcome: 'placed', detail: rejected ? `${placedLoc.name} after ${rejected}` : placedLoc.name });
+        }
+        return placedLoc;
+    }
+
+    /**
+     * Clash between two sections sharing an instructor: overlapping meetings, or
+     * meetings in different buildings with less than the travel time between
+     * (getTravelTime). `building` is where `event` is (or would be) placed; null
+     * skips the travel test. Returns { type: 'overlap'|'travel', gapMin, travelMin } or null.
+     */
+    compareInstructorEvents(event, building, other) {
+        const t = event.timeObj;
+        const o = other.timeObj;
+        if ((event.crosslistParent || event) === (other.crosslistParent || other)) return null; // Same cross-listed unit
+        if (!t.days.some(d => o.days.includes(d)) || !t.datesOverlap(o)) return null;
+
+        const gapMin = Math.max(o.startMin - t.endMin, t.startMin - o.endMin);
+        if (gapMin < 0) return { type: 'overlap', gapMin };
+
+        const otherLoc = this.locations.find(l => l.name === other.placedLocation);
+        if (building && otherLoc && !otherLoc.isVirtual && otherLoc.building !== building) {
+            const travelMin = this.getTravelTime(building, otherLoc.building);
+            if (gapMin < travelMin) return { type: 'travel', gapMin, travelMin };
+        }
+        return null;
+    }
+
+    // First clash with an already placed section, as { instructor, other, type, gapMin }.
+    // Every member of a cross-listed unit is checked, since riders can have their own instructors.
+    findInstructorConflict(event, building) {
+        const members = event.getUnitMembers();
+        for (let member of members) {
+            for (let name of member.instructors) {
+                for (let other of (this.instructorEvents[name] || [])) {
+                    if (members.includes(other) || !other.placedLocation) continue;
+                    const clash = this.compareInstructorEvents(event, building, other);
+                    if (clash) return { instructor: name, other, ...clash };
+                }
+            }
+        }
+        return null;
+    }
+
+    // Collect every instructor clash in the finished schedule (any mode but 'off')
+    detectInstructorConflicts(events) {
+        this.instructorConflicts = [];
+        events.forEach(e => { e.instructorConflicts = []; });
+        if (this.instructorMode === 'off') return;
+
+        const seen = new Set();
+        events.forEach(e => {
+            if (!e.placedLocation) return;
+            const loc = this.locations.find(l => l.name === e.placedLocation);
+            const building = loc && !loc.isVirtual ? loc.building : null;
+
+            e.instructors.forEach(name => {
+                (this.instructorEvents[name] || []).forEach(other => {
+                    if (other === e || !other.placedLocation) return;
+                    const key = [name].concat([e.id, other.id].sort((x, y) => x - y)).join("|");
+                    if (seen.has(key)) return;
+
+                    const clash = this.compareInstructorEvents(e, building, other);
+                    if (!clash) return;
+                    seen.add(key);
+                    this.instructorConflicts.push({ instructor: name, a: e, b: other, ...clash });
+                });
+            });
+        });
+
+        const describe = (c, other) => c.type === 'overlap'
+            ? `${c.instructor}: overlaps ${other.eventCode} (${other.placedLocation})`
+            : `${c.instructor}: ${c.gapMin} min (needs ${c.travelMin}) to ${other.eventCode} (${other.placedLocation})`;
+        this.instructorConflicts.forEach(c => {
+            c.a.instructorConflicts.push(describe(c, c.b));
+            c.b.instructorConflicts.push(describe(c, c.a));
+        });
+    }
+
+    /**
+     * Back-to-back sections sharing an instructor or a department, in different
+     * buildings, with less time between them than the walk takes (getTravelTime).
+     * Returns [{ kind: 'instructor'|'department', key, a, b, gapMin, travelMin }],
+     * where a ends before b starts.
+     */
+    findTightTransitions(events) {
+        const buildingOf = {};
+        this.locations.forEach(l => { if (!l.isVirtual) buildingOf[l.name] = l.building; });
+        const placed = events.filter(e => !e.crosslistParent && buildingOf[e.placedLocation]);
+
+        const groups = [];
+        const byInstructor = {};
+        const byDept = {};
+        placed.forEach(e => {
+            e.instructors.forEach(name => (byInstructor[name] = byInstructor[name] || []).push(e));
+            if (e.dept) (byDept[e.dept] = byDept[e.dept] || []).push(e);
+        });
+        Object.entries(byInstructor).forEach(([key, list]) => groups.push({ kind: 'instructor', key, list }));
+        Object.entries(byDept).forEach(([key, list]) => groups.push({ kind: 'department', key, list }));
+
+        const maxTravel = Object.values(this.gapRules.travel)
+            .reduce((max, row) => Math.max(max, ...Object.values(row)), this.travelGap);
+
+        const seen = new Set();
+        const result = [];
+        groups.forEach(({ kind, key, list }) => {
+            const sorted = [...list].sort((x, y) => x.timeObj.startMin - y.timeObj.startMin);
+            sorted.forEach((a, i) => {
+                for (let j = i + 1; j < sorted.length; j++) {
+                    const b = sorted[j];
+                    const gapMin = b.timeObj.startMin - a.timeObj.endMin;
+                    if (gapMin < 0) continue;
+                    if (gapMin >= maxTravel) break; // Sorted by start, so later sections leave even more time
+                    const from = buildingOf[a.placedLocation];
+                    const to = buildingOf[b.placedLocation];
+                    if (from === to) continue;
+                    if (!a.timeObj.days.some(d => b.timeObj.days.includes(d)) || !a.timeObj.datesOverlap(b.timeObj)) continue;
+
+                    const travelMin = this.getTravelTime(from, to);
+                    const pair = `${a.id}|${b.id}`;
+                    if (gapMin >= travelMin || seen.has(pair)) continue;
+                    seen.add(pair);
+                    result.push({ kind, key, a, b, gapMin, travelMin });
+                }
+            });
+        });
+        return result;
+    }
+
+    // Real rooms (other than the current one) where the event could go instead
+    findAlternativeLocations(event) {
+        // A cross-listed rider goes wherever its whole unit goes
+        event = event.crosslistParent || event;
+        const ranges = this.getIndicesForEvent(event.timeObj);
+        if (ranges.length === 0) return [];
+        return this.locations.filter(l =>
+            !l.isVirtual && l.name !== event.placedLocation && !this.checkPlacement(event, l, ranges));
+    }
+
+    // Move a unit to another room if it fits there, then refresh conflicts and metrics.
+    // Forcing skips every check except closed time, as pins do.
+    moveEvent(event, location, force = false) {
+        event = event.crosslistParent || event;
+        const ranges = this.getIndicesForEvent(event.timeObj);
+        if (ranges.length === 0) return false;
+        const grid = this.scheduleGrid[location.name];
+        const failure = force
+            ? (ranges.some(([start, end]) => grid.slice(start, end).includes(BLOCKED)) ? { reason: 'blocked' } : null)
+            : this.checkPlacement(event, location, ranges);
+        if (failure) return false;
+
+        const from = event.placedLocation;
+        this.removeEvent(event);
+        this.placeEvent(event, location, true);
+        event.trace.push({ phase: 'manual', target: location.name, outcome: 'placed', detail: `${force ? 'forced' : 'moved'} from ${from || 'unplaced'}` });
+        this.removeEmptyUnscheduledLocations();
+        this.detectInstructorConflicts(this.events);
+        this.calculateMetrics(this.events);
+        return true;
+    }
+
+    // Events occupying a location during an event's meetings (including the gap around them)
+    getBlockingEvents(event, location) {
+        const grid = this.scheduleGrid[location.name];
+        const gapSlots = Math.ceil(Math.max(this.getTurnoverGap(location, event), this.maxFeatureGap) / this.interval);
+        const blockers = new Set();
+        this.getIndicesForEvent(event.timeObj).forEach(([start, end]) => {
+            for (let k = Math.max(0, start - gapSlots); k < Math.min(grid.length, end + gapSlots); k++) {
+                this.cellEvents(grid[k]).forEach(o => {
+                    if (o !== event && o.timeObj.datesOverlap(event.timeObj)) blockers.add(o);
+                });
+            }
+        });
+        return [...blockers];
+    }
+
+    // Units left in a virtual room or not placed at all
+    getUnresolvedEvents() {
+        const virtual = new Set(this.locations.filter(l => l.isVirtual).map(l => l.name));
+        return this.events.filter(e => !e.crosslistParent && (!e.placedLocation || virtual.has(e.placedLocation)));
+    }
+
+    /**
+     * Real rooms closest to taking an event, fewest problems first, then the
+     * smallest seat shortfall and fewest blocking events:
+     *   [{ location, problems: [{ reason, ... }] }]
+     * Unlike checkPlacement every failed constraint is listed, and 'overlap'
+     * carries all blocking events (see getBlockingEvents).
+     */
+    findNearMisses(event, limit = 5) {
+        const ranges = this.getIndicesForEvent(event.timeObj);
+        if (ranges.length === 0) return [];
+        const seats = event.getTotalSeats();
+        const required = event.getRequiredFeatures();
+        const linked = this.linkSameBuilding ? this.getLinkedBuildings(event) : new Set();
+
+        return this.locations.filter(l => !l.isVirtual).map(location => {
+            const grid = this.scheduleGrid[location.name];
+            const problems = [];
+            if (seats > location.capacity) problems.push({ reason: 'capacity', seats, capacity: location.capacity });
+            if (this.isForbidden(event, location)) problems.push({ reason: 'forbidden' });
+            const missing = location.getMissingFeatures(required);
+            if (missing.length > 0) problems.push({ reason: 'features', missing });
+            if (this.instructorMode === 'strict') {
+                const conflict = this.findInstructorConflict(event, location.building);
+                if (conflict) problems.push({ reason: 'instructor', conflict });
+            }
+            if (linked.size > 0 && !linked.has(location.building)) problems.push({ reason: 'link', buildings: [...linked] });
+            if (ranges.some(([start, end]) => grid.slice(start, end).includes(BLOCKED))) problems.push({ reason: 'blocked' });
+            const blockers = this.getBlockingEvents(event, location);
+            if (blockers.length > 0) problems.push({ reason: 'overlap', blockers });
+            return { location, problems, shortBy: Math.max(0, seats - location.capacity), blockerCount: blockers.length };
+        })
+            .sort((a, b) => a.problems.length - b.problems.length || a.shortBy - b.shortBy ||
+                a.blockerCount - b.blockerCount || a.location.capacity - b.location.capacity)
+            .slice(0, limit)
+            .map(({ location, problems }) => ({ location, problems }));
+    }
+
+    // Plain-object snapshot of where every event went (safe to postMessage)
+    getPlacements(events) {
+        return events.map(e => ({
+            id: e.id,
+            location: e.placedLocation,
+            note: e.note,
+            trace: e.trace,
+            baselineStatus: e.baselineStatus,
+            baselineReason: e.baselineReason
+        }));
+    }
+
+    // Rebuild the grid from placements produced elsewhere (e.g. by the worker)
+    applyPlacements(events, placements) {
+        const byId = {};
+        events.forEach(e => {
+            e.reset();
+            byId[e.id] = e;
+        });
+        this.events = events;
+        this.prepareGroups(events);
+
+        placements.forEach(p => {
+            const event = byId[p.id];
+            if (!event) return;
+            event.note = p.note || "";
+            event.trace = p.trace || [];
+            event.baselineStatus = p.baselineStatus || "";
+            event.baselineReason = p.baselineReason || "";
+            if (!p.location || event.crosslistParent) return; // Riders follow their primary
+            if (this.getPinnedLocation(event) === p.location) {
+                event.getUnitMembers().forEach(m => { m.pinned = true; });
+            }
+
+            let loc = this.locations.find(l => l.name === p.location);
+            // Recreate virtual rooms up to the one referenced
+            while (!loc && /^UN \d+$/.test(p.location) && this.unscheduledCount <= parseInt(p.location.split(" ")[1])) {
+                this.addUnscheduledLocation();
+                loc = this.locations.find(l => l.name === p.location);
+            }
+            if (loc) this.placeEvent(event, loc, true);
+        });
+
+        this.detectInstructorConflicts(events);
+        this.calculateMetrics(events);
+    }
+
+    /**
+     * Differences against the baseline after a run:
+     * [{ code, status: 'kept'|'moved'|'new'|'dropped', from, to, reason }]
+     */
+    getBaselineDiff() {
+        if (!this.baseline) return [];
+        const diff = [];
+        const codes = new Set();
+
+        this.events.forEach(e => {
+            codes.add(e.eventCode);
+            const from = this.baseline.hasOwnProperty(e.eventCode) ? this.baseline[e.eventCode] : "";
+            const status = e.baselineStatus === 'new' ? 'new'
+                : normalizeLocationName(from) === e.placedLocation ? 'kept' : 'moved';
+            diff.push({ code: e.eventCode, status, from, to: e.placedLocation, reason: status === 'moved' ? e.baselineReason : "" });
+        });
+
+        Object.entries(this.baseline).forEach(([code, from]) => {
+            if (!codes.has(code)) diff.push({ code, status: 'dropped', from, to: "", reason: 'not in the events file' });
+        });
+        return diff;
+    }
+
+    // Events left in virtual rooms or not placed at all
+    countUnscheduled(events) {
+        const virtual = new Set(this.locations.filter(l => l.isVirtual).map(l => l.name));
+        return events.filter(e => !e.placedLocation || virtual.has(e.placedLocation)).length;
+    }
+
+    // Remove an event from the grid so it can be placed again
+    removeEvent(event) {
+        const grid = this.scheduleGrid[event.placedLocation];
+        if (grid) {
+            for (let [start, end] of event.indices) {
+                for (let k = start; k < end; k++) {
+                    this.removeFromCell(grid, k, event);
+                }
+            }
+        }
+        event.getUnitMembers().forEach(member => {
+            member.instructors.forEach(name => {
+                if (this.instructorEvents[name]) this.instructorEvents[name].delete(member);
+            });
+            member.indices = [];
+            member.placedLocation = "";
+        });
+    }
+
     // Main Algorithm
-    createSchedule(events, seed) {
+    // onProgress(phase, done, total) is optional; phases are
+    // 'baseline', 'historical', 'building', 'preference' and 'virtual'
+    createSchedule(events, seed, onProgress) {
         const rng = new Random(seed);
+        const report = (phase, done, total) => { if (onProgress) onProgress(phase, done, total); };
         let failures = 0;
         let waitingList = [];
         let finalList = [];
@@ -189,13 +938,35 @@ class Schedule {
         // Reset all events
         events.forEach(e => e.reset());
         rng.shuffle(events);
+        this.events = events;
+
+        // Cross-listed riders follow their primary; only units are placed
+        let units = this.prepareGroups(events);
+
+        // Phase 0: Pinned events are fixed before anything else
+        units = units.filter(event => {
+            const pinnedName = this.getPinnedLocation(event);
+            if (!pinnedName) return true;
+            const loc = this.locations.find(l => l.name === pinnedName);
+            if (!loc || !this.placeEvent(event, loc, true)) {
+                const failure = loc ? this.lastFailure : { reason: 'missing', location: pinnedName };
+                event.trace.push({ phase: 'pinned', target: pinnedName, outcome: 'rejected', detail: describePlacementFailure(failure) });
+                return true;
+            }
+            event.trace.push({ phase: 'pinned', target: loc.name, outcome: 'placed', detail: loc.name });
+            event.getUnitMembers().forEach(m => {
+                m.pinned = true;
+                if (!this.baseline) return;
+                const prev = this.baseline.hasOwnProperty(m.eventCode) ? this.baseline[m.eventCode] : undefined;
+                m.baselineStatus = prev === undefined ? 'new' : normalizeLocationName(prev) === loc.name ? 'kept' : 'invalidated';
+                if (m.baselineStatus === 'invalidated') m.baselineReason = 'pinned elsewhere';
+            });
+            return false;
+        });
 
         // Helper: Find Loc by Name
         const findLoc = (name) => {
-            // Handle "BLDG 00" vs "BLDG 0" inconsistencies
-            let cleanName = name;
-            const parts = name.split(" ");
-            if (parts[1] === "00" || parts[1] === "000") cleanName = parts[0] + " 0";
+            const cleanName = normalizeLocationName(name);
             return this.locations.find(l => l.name === cleanName);
         };
 
@@ -204,30 +975,72 @@ class Schedule {
             return this.locations.filter(l => l.name.startsWith(bldg));
         }
 
+        // Baseline: keep previous assignments that are still valid
+        if (this.baseline) {
+            units = units.filter((event, i) => {
+                report('baseline', i, units.length);
+                const members = event.getUnitMembers();
+                const setStatus = (status, reason = "") => members.forEach(m => {
+                    m.baselineStatus = status;
+                    m.baselineReason = reason;
+                });
+
+                const prev = this.getBaselineLocation(event);
+                if (prev === undefined) {
+                    setStatus('new');
+                    return true;
+                }
+                if (!prev || /^UN \d+$/.test(prev)) {
+                    setStatus('invalidated', 'was unscheduled');
+                    event.trace.push({ phase: 'baseline', target: prev || 'unplaced', outcome: 'skipped', detail: 'was unscheduled' });
+                    return true;
+                }
+
+                const loc = findLoc(prev);
+                const ranges = this.getIndicesForEvent(event.timeObj);
+                const failure = !loc ? { reason: 'missing', location: prev }
+                    : ranges.length === 0 ? { reason: 'hours' }
+                    : this.checkPlacement(event, loc, ranges);
+
+                if (!failure && this.placeEvent(event, loc)) {
+                    setStatus('kept');
+                    event.trace.push({ phase: 'baseline', target: prev, outcome: 'placed', detail: loc.name });
+                    return false;
+                }
+                setStatus('invalidated', describePlacementFailure(failure || { reason: 'hours' }));
+                event.trace.push({ phase: 'baseline', target: prev, outcome: 'rejected', detail: event.baselineReason });
+                return true;
+            });
+        }
+
         // Phase 1: Historical / Past Location
-        for (let event of events) {
+        for (let [i, event] of units.entries()) {
+            report('historical', i, units.length);
             const pastLocStr = event.getHistoricalLocations()[0];
 
             // Check for AR (Arranged) logic would go here, simplified for now
 
             if (event.bldgCode === "undefined" || event.bldgCode === "nan") {
+                event.trace.push({ phase: 'historical', target: pastLocStr, outcome: 'skipped', detail: 'no historical building' });
                 finalList.push(event);
                 continue;
             }
             if (event.roomNumber === "undefined" || event.roomNumber === "nan") {
+                event.trace.push({ phase: 'historical', target: pastLocStr, outcome: 'skipped', detail: 'no historical room' });
                 waitingList.push(event);
                 continue;
             }
 
             const loc = findLoc(pastLocStr);
             if (loc) {
-                if (this.placeEvent(event, loc)) {
+                if (this.tryRooms(event, [loc], 'historical', loc.name)) {
                     // Success
                 } else {
                     failures++;
                     waitingList.push(event);
                 }
             } else {
+                event.trace.push({ phase: 'historical', target: pastLocStr, outcome: 'rejected', detail: `${pastLocStr.trim() || 'no room'} is not in the locations file` });
                 failures++;
                 waitingList.push(event);
             }
@@ -235,48 +1048,67 @@ class Schedule {
 
         // Phase 2: Same Building
         rng.shuffle(waitingList);
-        for (let event of waitingList) {
-            const bldgLocs = findLocsByBldg(event.bldgCode);
+        for (let [i, event] of waitingList.entries()) {
+            report('building', i, waitingList.length);
+            const bldgLocs = this.orderByFit(event, findLocsByBldg(event.bldgCode));
             let placed = false;
 
             if (bldgLocs.length === 0) {
+                event.trace.push({ phase: 'building', target: event.bldgCode, outcome: 'skipped', detail: `no rooms in ${event.bldgCode || 'an unnamed building'}` });
                 finalList.push(event);
                 continue;
             }
 
-            for (let loc of bldgLocs) {
-                if (this.placeEvent(event, loc)) {
-                    placed = true;
-                    // remove from finalList if it was added? (Logic check: waitingList items aren't in finalList yet)
-                    break;
-                }
-            }
+            // (waitingList items aren't in finalList yet)
+            placed = !!this.tryRooms(event, bldgLocs, 'building', event.bldgCode);
             if (!placed) {
                 failures++;
                 finalList.push(event);
             }
         }
 
-        // Phase 3: Preferences & Others
+        // Phase 3: Preferences & Others (heavier-weighted preferences choose first)
         rng.shuffle(finalList);
-        for (let event of finalList) {
+        const weightOf = (e) => { const rule = this.getPreferenceRule(e); return rule ? rule.weight : 1; };
+        finalList = finalList.map((e, i) => ({ e, i, w: weightOf(e) }))
+            .sort((a, b) => b.w - a.w || a.i - b.i)
+            .map(x => x.e);
+        for (let [i, event] of finalList.entries()) {
+            report('preference', i, finalList.length);
+            // Candidate rooms in trace groups: { phase, target, locs } (null target: per building)
+            const groups = [];
             let potentialLocs = [];
-
-            // Preferences
-            if (this.locationPreferences[event.dept]) {
-                const prefBldgs = this.locationPreferences[event.dept]; // Array of bldg codes
-                prefBldgs.forEach(b => {
-                    potentialLocs = potentialLocs.concat(findLocsByBldg(b));
+            const addGroup = (phase, target, locs) => {
+                if (locs.length === 0) return;
+                locs = this.orderByFit(event, locs);
+                groups.push({ phase, target, locs });
+                potentialLocs = potentialLocs.concat(locs);
+            };
+
+            // Building of already placed linked sections (lecture/lab) first
+            this.getLinkedBuildings(event).forEach(b => {
+                addGroup('linked', b, findLocsByBldg(b));
+            });
+
+            // Preferences: specific rooms first, then buildings in rank order
+            const rule = this.getPreferenceRule(event);
+            if (rule) {
+                rule.rooms.forEach(name => {
+                    const loc = findLoc(name);
+                    if (loc && !potentialLocs.includes(loc)) addGroup('preference', loc.name, [loc]);
+                });
+                rule.buildings.forEach(b => {
+                    addGroup('preference', b, findLocsByBldg(b).filter(l => !potentialLocs.includes(l)));
                 });
             }
 
             // Add all other rooms (diff of potential and all)
             const remaining = this.locations.filter(l => !potentialLocs.includes(l));
-            potentialLocs = potentialLocs.concat(remaining);
+            addGroup('other', null, remaining);
 
             let placed = false;
-            for (let loc of potentialLocs) {
-                if (this.placeEvent(event, loc)) {
+            for (let group of groups) {
+                if (this.tryRooms(event, group.locs, group.phase, group.target)) {
                     placed = true;
                     break;
                 }
@@ -290,7 +1122,11 @@ class Schedule {
         // Phase 4: Unscheduled (Create Virtual Rooms)
         // Simplified: Just dumping them in a virtual room for now or leaving unplaced
         // In python it creates "UN X" rooms.
+        // Events meeting only on unscheduled days have no slots anywhere; recordDayNotes reports them.
+        unscheduled = unscheduled.filter(e => this.getInactiveDays(e).length < e.timeObj.days.length);
+        const unscheduledTotal = unscheduled.length;
         while (unscheduled.length > 0) {
+            report('virtual', unscheduledTotal - unscheduled.length, unscheduledTotal);
             this.addUnscheduledLocation();
             // Try to place as many as possible in this new room
             // Need to iterate copy to allow modification
@@ -298,7 +1134,7 @@ class Schedule {
             const newLoc = this.locations[this.locations.length - 1];
 
             for (let event of currentBatch) {
-                if (this.placeEvent(event, newLoc)) {
+                if (this.tryRooms(event, [newLoc], 'virtual', newLoc.name)) {
                     // Remove from unscheduled
                     unscheduled = unscheduled.filter(e => e !== event);
                 }
@@ -311,131 +1147,505 @@ class Schedule {
             }
         }
 
+        this.recordFeatureNotes(events);
+        this.recordDayNotes(events);
+        this.detectInstructorConflicts(events);
         this.calculateMetrics(events);
         return { failures, events };
     }
 
+    // Meeting days of an event that are not among the scheduled days
+    getInactiveDays(event) {
+        return event.timeObj.days.filter(d => !this.dayOffsets.hasOwnProperty(d));
+    }
+
+    // Events meeting on days outside the schedule are placed on their active days only, or not at all
+    recordDayNotes(events) {
+        events.forEach(e => {
+            const inactive = this.getInactiveDays(e);
+            if (inactive.length === 0) return;
+            const text = inactive.length === e.timeObj.days.length
+                ? `Meets only on ${inactive.join("/")} (not a scheduled day); not placed`
+                : `Not placed on ${inactive.join("/")} (not a scheduled day)`;
+            e.addNote(text);
+        });
+    }
+
+    // Explain feature-driven misses for events that had to go to a virtual room
+    recordFeatureNotes(events) {
+        const realLocs = this.locations.filter(l => !l.isVirtual);
+        events.forEach(e => {
+            const required = e.getRequiredFeatures();
+            if (required.length === 0 || e.crosslistParent) return;
+            const loc = this.locations.find(l => l.name === e.placedLocation);
+            if (loc && !loc.isVirtual) return;
+
+            const anyRoom = realLocs.some(l => l.getMissingFeatures(required).length === 0);
+            let text = "";
+            if (!anyRoom) {
+                text = `No room has all required features (${required.join("/")})`;
+            } else if (e.featureRejections > 0) {
+                text = `Rooms missing ${[...e.missingFeatures].join("/")} rejected; rooms with all features were full or too small`;
+            }
+            if (!text) return;
+            // Later passes (after optimize) replace the earlier feature note, keeping other notes
+            if (e.featureNote) e.removeNote(e.featureNote);
+            e.featureNote = text;
+            e.addNote(text);
+        });
+    }
+
+    // Score of one placement for the optimizer (higher is better)
+    // Lower-ranked preference buildings score a little less; the rule weight scales the whole event
+    scoreEvent(event, location) {
+        const metric = this.getMetricFor(event, location.name);
+        let score = this.metricWeights[metric - 1];
+        if (metric === 3) {
+            const rank = this.getPreferenceRank(event, location.name);
+            if (rank !== 'room') score *= Math.max(0.5, 1 - 0.1 * (rank - 1));
+        }
+        if (location.isVirtual) score -= this.virtualPenalty;
+        const rule = this.getPreferenceRule(event);
+        return rule ? score * rule.weight : score;
+    }
+
+    /**
+     * Improvement phase run after createSchedule.
+     * Simulated annealing over single-event moves and two-event room swaps,
+     * maximizing the weighted metrics and emptying virtual "UN x" rooms.
+     * Stops after `iterations` attempts or `timeLimitSec` seconds, whichever comes first.
+     * onProgress(phase, done, total) is reported as phase 'optimize'.
+     */
+    optimize(events, { iterations = 0, timeLimitSec = 0, seed, onProgress } = {}) {
+        const stats = { moves: 0, swaps: 0, startScore: 0, endScore: 0 };
+        // Pinned and baseline-kept events stay where they are
+        const placed = events.filter(e => e.placedLocation && !e.crosslistParent && !e.pinned && e.baselineStatus !== 'kept');
+        const realLocs = this.locations.filter(l => !l.isVirtual);
+        if (iterations <= 0 || placed.length === 0 || realLocs.length === 0) return stats;
+        const movable = new Set(placed);
+
+        const rng = new Random(seed);
+        const pick = (arr) => arr[Math.floor(rng.nextFloat() * arr.length) % arr.length];
+        const locOf = (e) => this.locations.find(l => l.name === e.placedLocation);
+
+        const byBldg = {};
+        realLocs.forEach(l => (byBldg[l.building] = byBldg[l.building] || []).push(l));
+
+        // Candidate rooms favour the historical room and building, then preference buildings
+        const pickTarget = (event) => {
+            const r = rng.nextFloat();
+            const historical = realLocs.find(l => l.name === event.pastLocationString);
+            if (historical && r < 0.3) return historical;
+            const rule = this.getPreferenceRule(event);
+            const preferredRooms = rule ? realLocs.filter(l => rule.rooms.includes(l.name)) : [];
+            if (preferredRooms.length > 0 && r < 0.45) return pick(preferredRooms);
+            const bldgs = [event.bldgCode].concat(rule ? rule.buildings : []).filter(b => byBldg[b]);
+            if (bldgs.length > 0 && r < 0.8) return pick(byBldg[pick(bldgs)]);
+            return pick(realLocs);
+        };
+
+        // Try to put every event at its target; on any failure restore the originals
+        const tryAssign = (moves) => {
+            moves.forEach(m => this.removeEvent(m.event));
+            const ok = moves.every(m => this.placeEvent(m.event, m.to));
+            if (!ok) {
+                moves.forEach(m => { if (m.event.placedLocation) this.removeEvent(m.event); });
+                moves.forEach(m => this.placeEvent(m.event, m.from, true));
+            }
+            return ok;
+        };
+        const undo = (moves) => {
+            moves.forEach(m => this.removeEvent(m.event));
+            moves.forEach(m => this.placeEvent(m.event, m.from, true));
+        };
+
+        stats.startScore = placed.reduce((sum, e) => sum + this.scoreEvent(e, locOf(e)), 0);
+        let score = stats.startScore;
+
+        // Annealing may wander downhill, so remember the best layout seen
+        let bestScore = score;
+        let best = placed.map(e => locOf(e));
+        const startLocs = [...best];
+
+        // Geometric cooling from T0 down to T1 over the iteration budget
+        const T0 = 0.2, T1 = 0.002;
+        const cooling = Math.pow(T1 / T0, 1 / iterations);
+        let temp = T0;
+        const startTime = Date.now();
+
+        for (let it = 0; it < iterations; it++, temp *= cooling) {
+            if (it % 100 === 0) {
+                if (onProgress) onProgress('optimize', it, iterations);
+                if (timeLimitSec > 0 && Date.now() - startTime > timeLimitSec * 1000) break;
+            }
+
+            const a = pick(placed);
+            const fromA = locOf(a);
+            // Events already in their desired room are mostly left alone
+            if (!fromA.isVirtual && this.getMetricFor(a, fromA.name) === 1 && rng.nextFloat() < 0.8) continue;
+
+            const r = rng.nextFloat();
+            let moves;
+
+            if (r < 0.4) {
+                // Move: relocate a single event
+                const to = pickTarget(a);
+                if (to === fromA) continue;
+                moves = [{ event: a, from: fromA, to }];
+            } else if (r < 0.6) {
+                // Swap: exchange the rooms of two events
+                const b = pick(placed);
+                const fromB = locOf(b);
+                if (b === a || fromB === fromA) continue;
+                moves = [{ event: a, from: fromA, to: fromB }, { event: b, from: fromB, to: fromA }];
+            } else {
+                // Kick: take a room and relocate the (at most two) events blocking it
+                const to = pickTarget(a);
+                if (to === fromA) continue;
+                const blockers = this.getBlockingEvents(a, to);
+                if (blockers.length === 0 || blockers.length > 2) continue;
+                // Pinned, baseline-kept and other fixed events are never kicked (and
+                // only events in `placed` are covered by the best-layout snapshot)
+                if (blockers.some(b => !movable.has(b))) continue;
+                moves = [{ event: a, from: fromA, to }].concat(blockers.map(b => ({
+                    event: b,
+                    from: to,
+                    to: rng.nextFloat() < 0.5 ? fromA : pickTarget(b)
+                })));
+            }
+
+            const before = moves.reduce((sum, m) => sum + this.scoreEvent(m.event, m.from), 0);
+            if (!tryAssign(moves)) continue;
+            const after = moves.reduce((sum, m) => sum + this.scoreEvent(m.event, m.to), 0);
+            const delta = after - before;
+
+            if (delta >= 0 || rng.nextFloat() < Math.exp(delta / temp)) {
+                score += delta;
+                if (moves.length === 1) stats.moves++;
+                else stats.swaps++;
+                if (score > bestScore + 1e-9) {
+                    bestScore = score;
+                    best = placed.map(e => locOf(e));
+                }
+            } else {
+                undo(moves);
+            }
+        }
+
+        if (bestScore > score + 1e-9) {
+            placed.forEach(e => this.removeEvent(e));
+            placed.forEach((e, i) => this.placeEvent(e, best[i], true));
+        }
+
+        stats.endScore = bestScore;
+        placed.forEach((e, i) => {
+            if (best[i] === startLocs[i]) return;
+            e.trace.push({ phase: 'optimize', target: best[i].name, outcome: 'placed', detail: `moved from ${startLocs[i].name}` });
+        });
+        this.removeEmptyUnscheduledLocations();
+        this.recordFeatureNotes(events);
+        this.recordDayNotes(events);
+        this.detectInstructorConflicts(events);
+        this.calculateMetrics(events);
+        this.optimizeStats = stats;
+        return stats;
+    }
+
+    // Drop "UN x" rooms emptied by the optimizer and renumber the rest
+    removeEmptyUnscheduledLocations() {
+        const virtual = this.locations.filter(l => l.isVirtual);
+        const occupants = {};
+        virtual.forEach(l => {
+            occupants[l.name] = new Set();
+            this.scheduleGrid[l.name].forEach(cell => this.cellEvents(cell).forEach(e => occupants[l.name].add(e)));
+            delete this.scheduleGrid[l.name];
+        });
+
+        this.locations = this.locations.filter(l => !l.isVirtual);
+        this.unscheduledCount = 0;
+
+        virtual.forEach(old => {
+            if (occupants[old.name].size === 0) return;
+            this.addUnscheduledLocation();
+            const loc = this.locations[this.locations.length - 1];
+            occupants[old.name].forEach(e => {
+                e.indices = [];
+                e.placedLocation = "";
+                this.placeEvent(e, loc, true);
+            });
+        });
+    }
+
     addUnscheduledLocation() {
         const name = `UN ${this.unscheduledCount}`;
         const loc = new Location({ Location: name, Capacity: 9999, Features: "Virtual" });
+        loc.isVirtual = true;
         this.locations.push(loc);
         this.scheduleGrid[name] = new Array(this.weekIntervals).fill(0);
         this.unscheduledCount++;
     }
 
+    // Metric for an event sitting in a given location (1=Desired .. 4=Wrong/Other)
+    getMetricFor(e, locName) {
+        const placedBldg = locName.split(" ")[0];
+        const placedRoom = locName.split(" ")[1];
+
+        // Logic mirroring Python's __getScheduleMetrics
+        if (e.bldgCode === "nan" || !e.bldgCode) return 1;
+        if (e.bldgCode === placedBldg && e.roomNumber === placedRoom) return 1;
+        if (e.bldgCode === placedBldg && (e.roomNumber === "nan" || !e.roomNumber)) return 1;
+        if (e.bldgCode === placedBldg) return 2;
+        if (this.getPreferenceRank(e, locName) !== null) return 3;
+        return 4;
+    }
+
     calculateMetrics(events) {
         // [Desired, SameBldg, PrefBldg, Wrong/Other]
-        let desired = 0, same = 0, pref = 0, wrong = 0;
+        const counts = [0, 0, 0, 0];
+
+        let wasted = 0;
+        let rooms = 0;
+        const ranks = {};
 
         events.forEach(e => {
             if (!e.placedLocation) return;
+            e.metric = this.getMetricFor(e, e.placedLocation);
+            counts[e.metric - 1]++;
 
-            const placedBldg = e.placedLocation.split(" ")[0];
-            const placedRoom = e.placedLocation.split(" ")[1];
-
-            // Logic mirroring Python's __getScheduleMetrics
-            if (e.bldgCode === "nan" || !e.bldgCode) {
-                desired++; e.metric = 1;
-            } else if (e.bldgCode === placedBldg && e.roomNumber === placedRoom) {
-                desired++; e.metric = 1;
-            } else if (e.bldgCode === placedBldg && (e.roomNumber === "nan" || !e.roomNumber)) {
-                desired++; e.metric = 1;
-            } else if (e.bldgCode === placedBldg) {
-                same++; e.metric = 2;
-            } else if (this.locationPreferences[e.dept] && this.locationPreferences[e.dept].includes(placedBldg)) {
-                pref++; e.metric = 3;
-            } else {
-                wrong++; e.metric = 4;
+            e.prefRank = this.getPreferenceRank(e, e.placedLocation);
+            if (e.prefRank !== null) {
+                const key = e.prefRank === 'room' ? 'Room' : String(e.prefRank);
+                ranks[key] = (ranks[key] || 0) + 1;
+            }
+
+            // Cross-listed units share one room, so count it once
+            const loc = !e.crosslistParent && this.locations.find(l => l.name === e.placedLocation);
+            if (loc && !loc.isVirtual) {
+                wasted += Math.max(0, loc.capacity - e.getTotalSeats());
+                rooms++;
             }
         });
-        this.metrics = [desired, same, pref, wrong];
+        this.metrics = counts;
+        this.rankCounts = ranks;
+        this.avgWastedSeats = rooms > 0 ? wasted / rooms : 0;
     }
 
-    // Prepare data for Plotly
-    getPlotlyData() {
+    /**
+     * Prepare data for Plotly. Options narrow what is drawn and how it is colored:
+     *   building, dept, metric      exact match ('' or missing = any)
+     *   minCapacity, maxCapacity    real-room capacity range
+     *   search                      substring of a member's event code or title
+     *   colorBy                     'metric' (default), 'department', 'building', 'fill' or 'diff'
+     *   changed                     for 'diff': { code: { status, from } } with a compareSnapshots
+     *                                   move status ('moved', 'new', 'scheduled', 'unscheduled') and
+     *                                   from the location in the other scenario ('' when it was unplaced)
+     * Rooms with no matching events have no bars and drop off the y-axis.
+     */
+    getPlotlyData(options = {}) {
         // We need an array of objects: { x: [start, end], y: LocationName, ... }
         // Plotly Timeline (bar h) expects dates. We can fake dates or use linear numbers.
         // Python used px.timeline with real dates.
         // Here we can use 'bar' with 'base'.
 
         const traces = [];
+        const colorBy = options.colorBy || 'metric';
+        const search = (options.search || "").trim().toLowerCase();
+
+        const showRoom = (loc) => {
+            if (options.building && loc.building !== options.building) return false;
+            if (loc.isVirtual) return true;
+            if (Number.isFinite(options.minCapacity) && loc.capacity < options.minCapacity) return false;
+            if (Number.isFinite(options.maxCapacity) && loc.capacity > options.maxCapacity) return false;
+            return true;
+        };
+        // A unit matches when any member does, so cross-listed partners stay findable
+        const showEvent = (event, members) => {
+            if (options.metric && event.metric !== parseInt(options.metric)) return false;
+            if (options.dept && !members.some(m => m.dept === options.dept)) return false;
+            if (search && !members.some(m => m.eventCode.toLowerCase().includes(search) || m.name.toLowerCase().includes(search))) return false;
+            return true;
+        };
 
-        // We want a trace per metric type to color code them, or just one big trace with colors?
-        // Python code used "color=show" (usually 'Code'). 
-        // Let's create one entry per placed event slot.
+        // One trace per color group (a single trace with a colorscale for seat fill)
+        const groups = new Map();
+        const groupFor = (key) => {
+            if (!groups.has(key)) groups.set(key, { y: [], base: [], x: [], text: [], hover: [], ids: [], fill: [] });
+            return groups.get(key);
+        };
 
-        // Actually, to fully match the visuals, we want the X axis to be TIME.
-        // We can map our 0..End indices back to HH:MM strings roughly.
-        // But Plotly JS `type: bar, orientation: h` works best with numbers.
+        // Sort locations for consistent display
+        const sortedLocs = this.locations.filter(showRoom).sort((a, b) => a.name.localeCompare(b.name));
 
-        // Group by Location for Y-axis
+        sortedLocs.forEach(loc => {
+            const locName = loc.name;
+            const grid = this.scheduleGrid[locName];
+            if (!grid) return;
 
-        const yLabels = [];
-        const base = [];
-        const xLength = [];
-        const text = [];
-        const hover = [];
-        const colors = [];
+            // One bar per meeting of each occupant. Events with disjoint date
+            // ranges can share slots, so their bars overlap on the same row.
+            const occupants = new Set();
+            grid.forEach(cell => this.cellEvents(cell).forEach(e => occupants.add(e)));
+
+            occupants.forEach(currentEvent => {
+                const members = currentEvent.getUnitMembers();
+                if (!showEvent(currentEvent, members)) return;
+                const dates = currentEvent.timeObj.getDateRangeText();
+                const seats = currentEvent.getTotalSeats();
+
+                let key = 'all';
+                if (colorBy === 'metric') key = currentEvent.metric;
+                else if (colorBy === 'department') key = currentEvent.dept;
+                else if (colorBy === 'building') key = loc.building;
+                // Any changed member marks the unit
+                const changedCode = colorBy === 'diff' ? members.map(m => m.eventCode).find(c => c in (options.changed || {})) : undefined;
+                const change = changedCode === undefined ? null : options.changed[changedCode];
+                if (colorBy === 'diff') key = change ? DIFF_KEYS[change.status] : 'Unchanged';
+                const group = groupFor(key);
+
+                currentEvent.indices.forEach(([startIdx, endIdx]) => {
+                    // Linear scale 0..Max: one unit per minute, days laid end to end
+                    group.y.push(locName);
+                    group.base.push(startIdx * this.interval);
+                    group.x.push((endIdx - startIdx) * this.interval);
+                    group.text.push((currentEvent.pinned ? "📌 " : "") + members.map(e => e.eventCode).join(" / "));
+                    group.ids.push(currentEvent.id);
+                    group.fill.push(loc.isVirtual ? 1 : Math.min(seats / Math.max(loc.capacity, 1), 1));
+                    group.hover.push(`${members.map(e => e.name).join(" / ")}<br>${currentEvent.placedLocation} (${seats} seats` +
+                        (loc.isVirtual ? ")" : ` / ${loc.capacity}, ${Math.round(seats / Math.max(loc.capacity, 1) * 100)}% full)`) +
+                        (dates ? `<br>${dates}` : "") +
+                        (key === 'Scheduled' ? "<br>Was unscheduled" : change && change.from ? `<br>Was in ${change.from}` : ""));
+                });
+            });
+        });
 
-        // Sort locations for consistent display
-        const sortedLocs = this.locations.map(l => l.name).sort();
+        // Metric groups in 1..4 order; categories alphabetically
+        const byName = (a, b) => String(a).localeCompare(String(b));
+        const keys = [...groups.keys()].sort((a, b) => colorBy === 'metric' ? a - b : byName(a, b));
+        // Category colors come from the unfiltered list so a department keeps its color
+        const categories = colorBy === 'department' ? [...new Set(this.events.map(e => e.dept))].sort(byName)
+            : colorBy === 'building' ? [...new Set(this.locations.map(l => l.building))].sort(byName) : [];
+        keys.forEach(key => {
+            const g = groups.get(key);
+            let marker;
+            // Python used 'Code' (unique color per course); we default to Metric colors:
+            // Green (1), Blue (2), Orange (3), Red (4)
+            if (colorBy === 'metric') marker = { color: METRIC_COLORS[key] || METRIC_COLORS[4], opacity: 0.85 };
+            else if (colorBy === 'fill') {
+                marker = {
+                    color: g.fill, cmin: 0, cmax: 1, opacity: 0.85,
+                    colorscale: [[0, '#e74c3c'], [0.5, '#f1c40f'], [1, '#2ecc71']],
+                    colorbar: { title: 'Seat fill', tickformat: '.0%', thickness: 12 }
+                };
+            } else if (colorBy === 'diff') marker = { color: DIFF_COLORS[key], opacity: 0.85 };
+            else marker = { color: CATEGORY_COLORS[Math.max(0, categories.indexOf(key)) % CATEGORY_COLORS.length], opacity: 0.85 };
+
+            traces.push({
+                type: 'bar',
+                orientation: 'h',
+                name: colorBy === 'metric' ? METRIC_LABELS[key] || METRIC_LABELS[4] : colorBy === 'fill' ? 'Seat fill' : String(key),
+                showlegend: colorBy !== 'fill',
+                y: g.y,
+                base: g.base,
+                x: g.x,
+                text: g.text,
+                hovertext: g.hover,
+                customdata: g.ids,
+                marker: marker
+            });
+        });
 
-        sortedLocs.forEach(locName => {
+        // Closed time as hatched bars, one per run of BLOCKED slots
+        // (with event filters on, only on rows that still have bars)
+        const eventFiltered = !!(options.metric || options.dept || search);
+        const shownRows = new Set(traces.flatMap(t => t.y));
+        const blocked = { y: [], base: [], x: [] };
+        sortedLocs.forEach(({ name: locName }) => {
+            if (eventFiltered && !shownRows.has(locName)) return;
             const grid = this.scheduleGrid[locName];
             if (!grid) return;
-
-            // To reduce draw calls, we could merge adjacent slots of same event
-            let currentEvent = null;
-            let startIdx = -1;
-
-            for (let i = 0; i <= grid.length; i++) {
-                const val = (i < grid.length) ? grid[i] : null;
-
-                if (val !== currentEvent) {
-                    // State change
-                    if (currentEvent !== 0 && currentEvent !== null) {
-                        // Close segment
-                        // Calculation:
-                        // Start Time = schStartMin + (startIdx % dayIntervals) * interval
-                        // Duration = (i - startIdx) * interval
-                        // Day Offset is handled by the "Day lines" visual usually, but here 
-                        // we can just plot them linearly on a very long X axis 
-                        // OR (better) use Date objects on a dummy date (1970-01-01) 
-                        // to show a 24h view... but wait, this is a WEEK view?
-                        // Python used px.timeline with offsets.
-
-                        // Let's stick to linear scale 0..Max
-                        yLabels.push(locName);
-                        base.push(startIdx * this.interval);
-                        xLength.push((i - startIdx) * this.interval);
-                        text.push(currentEvent.eventCode);
-                        hover.push(`${currentEvent.name}<br>${currentEvent.placedLocation}`);
-
-                        // Color based on metric? Or Dept? Python used 'Code' (unique color per course). 
-                        // Doing unique colors in JS is hard without a palette gen.
-                        // Let's use Metric colors: Green (1), Blue (2), Orange (3), Red (4)
-                        if (currentEvent.metric === 1) colors.push('#2ecc71');
-                        else if (currentEvent.metric === 2) colors.push('#3498db');
-                        else if (currentEvent.metric === 3) colors.push('#f1c40f');
-                        else colors.push('#e74c3c');
-                    }
-                    currentEvent = val;
-                    startIdx = i;
-                }
+            for (let k = 0; k < grid.length; k++) {
+                if (grid[k] !== BLOCKED) continue;
+                let end = k;
+                // Runs stop at day boundaries
+                while (end + 1 < grid.length && grid[end + 1] === BLOCKED && (end + 1) % this.dayIntervals !== 0) end++;
+                blocked.y.push(locName);
+                blocked.base.push(k * this.interval);
+                blocked.x.push((end - k + 1) * this.interval);
+                k = end;
             }
         });
 
-        return [{
-            type: 'bar',
-            orientation: 'h',
-            y: yLabels,
-            base: base,
-            x: xLength,
-            text: text,
-            hovertext: hover,
-            marker: {
-                color: colors
-            }
-        }];
+        if (blocked.y.length > 0) {
+            traces.push({
+                type: 'bar',
+                orientation: 'h',
+                name: 'Closed',
+                showlegend: false,
+                y: blocked.y,
+                base: blocked.base,
+                x: blocked.x,
+                hoverinfo: 'text',
+                hovertext: blocked.y.map(name => `${name}: closed`),
+                marker: {
+                    color: 'rgba(0, 0, 0, 0)',
+                    line: { color: '#777', width: 1 },
+                    pattern: { shape: '/', fgcolor: '#777', bgcolor: 'rgba(0, 0, 0, 0)', solidity: 0.3 }
+                }
+            });
+        }
+        return traces;
     }
 }
+
+
+/**
+ * Build the models from raw rows and run a complete generation
+ * (greedy phases plus the optional optimization pass).
+ * Shared by the UI thread and worker.js.
+ *
+ * input: { eventsData, locationsData, prefsData, baselineData, gapsData, config }
+ * config: { days, startTime, endTime, interval, gap, iterations, timeLimitSec,
+ *           instructorMode, travelGap, linkSameBuilding, bestFit, fitSlack, pins }
+ * onProgress(phase, done, total) is optional, see createSchedule/optimize.
+ */
+function runScheduler(input, seed, onProgress) {
+    const { eventsData, locationsData, prefsData, config } = input;
+    const events = eventsData.map((d, i) => new Event(d, i));
+    const locations = locationsData.map(d => new Location(d));
+
+    const schedule = new Schedule(locations, config.startTime, config.endTime, config.days, config.interval, config.gap);
+    if (prefsData) schedule.setLocationPreferences(prefsData);
+    schedule.setInstructorRules(config.instructorMode, config.travelGap);
+    schedule.setGapRules(input.gapsData);
+    schedule.setLinkRules(config.linkSameBuilding);
+    schedule.setFitRules(config.bestFit, config.fitSlack);
+    schedule.setPins(config.pins);
+    schedule.setBaseline(input.baselineData);
+
+    schedule.createSchedule(events, seed, onProgress);
+
+    // Optional improvement phase (0 iterations = greedy result only)
+    if (config.iterations > 0) {
+        schedule.optimize(events, {
+            iterations: config.iterations,
+            timeLimitSec: config.timeLimitSec,
+            seed,
+            onProgress
+        });
+    }
+
+    if (onProgress) onProgress('done', 1, 1);
+    return { schedule, events };
+}
+
+// Plain-object summary of a finished run, as posted by worker.js
+function summarizeRun(schedule, events, seed) {
+    return {
+        seed,
+        metrics: schedule.metrics,
+        avgWastedSeats: schedule.avgWastedSeats,
+        unscheduled: schedule.countUnscheduled(events),
+        optimization: schedule.optimizeStats,
+        placements: schedule.getPlacements(events)
+    };
+}
@@ -0,0 +1,82 @@
+/**
+ * validation.js
+ * Row-level checks for uploaded Events and Locations data, run before
+ * generation so bad rows can be fixed or excluded instead of silently
+ * becoming 0-minute times, NaN enrollments or day-less events.
+ *
+ * Each issue: { row, label, message } where `row` is the index into the
+ * parsed data (the spreadsheet line is row + 2, counting the header).
+ */
+
+function validateEventRows(rows) {
+    const issues = [];
+    const seenCodes = {};
+
+    rows.forEach((data, row) => {
+        const event = new Event(data, row);
+        const label = event.eventCode || "(no code)";
+        const add = (message) => issues.push({ row, label, message });
+
+        if (!event.eventCode) add("Missing event code");
+
+        const beginStr = data.begin_tim || data.begin_time;
+        const endStr = data.end_tim || data.end_time;
+        const begin = parseClockTime(beginStr);
+        const end = parseClockTime(endStr);
+        if (isNaN(begin)) add(`Unparseable begin time "${beginStr || ''}"`);
+        if (isNaN(end)) add(`Unparseable end time "${endStr || ''}"`);
+        if (!isNaN(begin) && !isNaN(end) && end <= begin) add(`Ends (${endStr}) before it starts (${beginStr})`);
+
+        if (event.unknownDayCodes.length > 0) add(`Unrecognized day code "${event.unknownDayCodes.join(" ")}"`);
+        if (event.days.length === 0) add("No meeting days");
+
+        const dateFields = { begin_dte: data.begin_dte || data.begin_date, end_dte: data.end_dte || data.end_date, event_date: data.event_date };
+        Object.entries(dateFields).forEach(([field, value]) => {
+            if (Number.isNaN(parseDateDay(value))) add(`Unparseable ${field} "${value}" (use YYYY-MM-DD)`);
+        });
+        const { startDate, endDate } = event.timeObj;
+        if (startDate !== null && endDate !== null && endDate < startDate) add("End date before begin date");
+        if (isNaN(event.seats)) add(`Non-numeric enrollment "${data.crs_enrollment || data.event_enrollment}"`);
+
+        if (event.eventCode) {
+            if (seenCodes.hasOwnProperty(event.eventCode)) {
+                add(`Duplicate event code (first on line ${seenCodes[event.eventCode] + 2})`);
+            } else {
+                seenCodes[event.eventCode] = row;
+            }
+        }
+    });
+    return issues;
+}
+
+function validateLocationRows(rows) {
+    const issues = [];
+    const seenNames = {};
+
+    rows.forEach((data, row) => {
+        const name = String(data.Location || "").trim();
+        const label = name || "(no name)";
+        const add = (message) => issues.push({ row, label, message });
+
+        // Names must be "BLDG ROOM" so Location.building can be derived
+        if (!/^\S+\s+\S+/.test(name)) add("Building code can't be parsed (expected \"BLDG ROOM\")");
+
+        const capacity = parseInt(data.Capacity);
+        if (isNaN(capacity)) add(`Non-numeric capacity "${data.Capacity || ''}"`);
+        else if (capacity <= 0) add("Capacity is 0");
+
+        ['Available', 'Blackout'].forEach(field => {
+            const { errors } = parseTimeWindows(data[field]);
+            if (errors.length > 0) add(`Unparseable ${field} window "${errors.join("; ")}" (use e.g. "MWF 10:00-10:50")`);
+        });
+
+        if (name) {
+            if (seenNames.hasOwnProperty(name)) {
+                add(`Duplicate location name (first on line ${seenNames[name] + 2})`);
+            } else {
+                seenNames[name] = row;
+            }
+        }
+    });
+    return issues;
+}
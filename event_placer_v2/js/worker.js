@@ -0,0 +1,41 @@
+/**
+ * worker.js
+ * Runs the scheduling engine (models.js + schedule.js) off the main thread.
+ *
+ * In:
+ *   { type: 'generate', input, seed }   single run
+ *   { type: 'batch', input, seeds }     one run per seed
+ * Out:
+ *   { type: 'progress', phase, done, total, run, runs }
+ *   { type: 'result', index, seed, metrics, unscheduled, optimization, placements } per run
+ *   { type: 'done' }
+ *
+ * Runs are synchronous inside the worker, so cancellation is done by the
+ * page terminating the worker.
+ */
+
+importScripts('models.js', 'schedule.js');
+
+// Throttle progress messages; always send phase changes
+function progressReporter(run, runs) {
+    let lastPhase = null;
+    let lastTime = 0;
+    return (phase, done, total) => {
+        const now = Date.now();
+        if (phase === lastPhase && now - lastTime < 100) return;
+        lastPhase = phase;
+        lastTime = now;
+        self.postMessage({ type: 'progress', phase, done, total, run, runs });
+    };
+}
+
+self.onmessage = (e) => {
+    const msg = e.data;
+    const seeds = msg.type === 'generate' ? [msg.seed] : msg.seeds;
+
+    seeds.forEach((seed, index) => {
+        const { schedule, events } = runScheduler(msg.input, seed, progressReporter(index, seeds.length));
+        self.postMessage({ type: 'result', index, ...summarizeRun(schedule, events, seed) });
+    });
+    self.postMessage({ type: 'done' });
+};